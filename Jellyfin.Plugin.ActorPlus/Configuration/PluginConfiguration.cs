@@ -48,7 +48,7 @@ public class PluginConfiguration : BasePluginConfiguration
     public bool ShowAgeIcons { get; set; } = false;
 
     /// <summary>
-    /// Show a birth country flag (Twemoji) in the bottom-left corner of person portraits.
+    /// Show a birth country flag in the bottom-left corner of person portraits.
     /// Requires that birthplace/country can be resolved from metadata.
     /// </summary>
     public bool ShowBirthCountryFlag { get; set; } = true;
@@ -58,12 +58,35 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public bool ShowBirthPlaceText { get; set; } = false;
 
+    /// <summary>
+    /// How birth country flags are drawn: "twemoji" (bundled SVG), "emoji" (native emoji font),
+    /// "rounded" / "circle" (bundled square icons) or "iso" (country code pill).
+    /// Flag images are served by the plugin itself; no external CDN is used.
+    /// </summary>
+    public string FlagStyle { get; set; } = "twemoji";
+
     /// <summary>
     /// If a person has a known death date, show a ✝ marker (top-left) and gray the portrait.
     /// </summary>
 
     public bool ShowDeceasedOverlay { get; set; } = false;
 
+    /// <summary>
+    /// Highlight portraits of living people whose birthday is today or within <see cref="HighlightWindowDays"/>
+    /// (e.g. "turns 60 tomorrow").
+    /// </summary>
+    public bool HighlightBirthdays { get; set; } = false;
+
+    /// <summary>
+    /// Mark deceased people whose death anniversary is today or within <see cref="HighlightWindowDays"/>.
+    /// </summary>
+    public bool HighlightMemorials { get; set; } = false;
+
+    /// <summary>
+    /// How many days ahead birthday / memorial highlights look (0 = today only).
+    /// </summary>
+    public int HighlightWindowDays { get; set; } = 0;
+
     /// <summary>
     /// When enabled, hovering a person portrait will show a small popup with filmography
     /// (library items where the person appears).
@@ -90,4 +113,54 @@ public class PluginConfiguration : BasePluginConfiguration
     /// </summary>
     public int HoverCastLimit { get; set; } = 12;
 
+    /// <summary>
+    /// Crew types listed as collapsible sections below the cast in the hover popup
+    /// (comma-separated: Director, Writer, Producer, Composer). Empty hides the crew.
+    /// </summary>
+    public string HoverCastCrewTypes { get; set; } = "Director,Writer";
+
+    /// <summary>
+    /// For series, list the cast of every episode (with episode counts and seasons) in the cast popup
+    /// and the details page panels instead of only the series-level cast.
+    /// </summary>
+    public bool AggregateSeriesCast { get; set; } = true;
+
+    /// <summary>
+    /// Adds a "Born this week" row to the home screen with people from the library whose birthday is coming up.
+    /// </summary>
+    public bool ShowBornThisWeekRow { get; set; } = false;
+
+    /// <summary>
+    /// How many days ahead (including today) the "Born this week" row looks.
+    /// </summary>
+    public int BornThisWeekDaysAhead { get; set; } = 7;
+
+    /// <summary>
+    /// Maximum number of people in the "Born this week" row.
+    /// </summary>
+    public int BornThisWeekMaxEntries { get; set; } = 20;
+
+    /// <summary>
+    /// Leave deceased people out of the "Born this week" row.
+    /// </summary>
+    public bool BornThisWeekLivingOnly { get; set; } = true;
+
+    /// <summary>
+    /// Adds a chart under the cast on movie/series details pages: each cast member's age at release
+    /// next to their current age (or age at death).
+    /// </summary>
+    public bool ShowCastAgeTimeline { get; set; } = false;
+
+    /// <summary>
+    /// Adds a one-line cast summary on details pages: median/range of ages at release, deceased count
+    /// and birth countries (clicking a country filters the cast cards).
+    /// </summary>
+    public bool ShowCastSummary { get; set; } = false;
+
+    /// <summary>
+    /// Adds a career timeline to person details pages: all library titles of the person plotted by their age,
+    /// with birth/death markers and career gaps.
+    /// </summary>
+    public bool ShowCareerTimeline { get; set; } = false;
+
 }
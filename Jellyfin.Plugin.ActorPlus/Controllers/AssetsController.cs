@@ -1,7 +1,9 @@
 using System;
+using System.Collections.Concurrent;
 using System.IO;
 using System.Reflection;
 using System.Text;
+using System.Text.RegularExpressions;
 using Microsoft.AspNetCore.Mvc;
 
 namespace Jellyfin.Plugin.ActorPlus.Controllers;
@@ -10,6 +12,12 @@ namespace Jellyfin.Plugin.ActorPlus.Controllers;
 [Route("ActorPlus/assets")]
 public class AssetsController : ControllerBase
 {
+    // Flag SVGs never change for a given plugin build; let browsers keep them for a year.
+    private const string FlagCacheControl = "public, max-age=31536000, immutable";
+
+    private static readonly Regex Iso2Regex = new("^[a-z]{2}$", RegexOptions.Compiled | RegexOptions.CultureInvariant);
+    private static readonly ConcurrentDictionary<string, byte[]?> FlagCache = new(StringComparer.Ordinal);
+
     [HttpGet("birthage.js")]
     public IActionResult GetJs()
     {
@@ -24,6 +32,44 @@ public class AssetsController : ControllerBase
         return Content(text, "text/css", Encoding.UTF8);
     }
 
+    /// <summary>
+    /// Bundled flag images. <paramref name="set"/> is "twemoji" (emoji-style) or "square" (1x1 icons,
+    /// used for the rounded/circle styles); <paramref name="iso2"/> is a lower-case ISO 3166-1 alpha-2 code.
+    /// </summary>
+    [HttpGet("flags/{set}/{iso2}.svg")]
+    public IActionResult GetFlag([FromRoute] string set, [FromRoute] string iso2)
+    {
+        var folder = (set ?? string.Empty).ToLowerInvariant();
+        var code = (iso2 ?? string.Empty).ToLowerInvariant();
+        if ((folder != "twemoji" && folder != "square") || !Iso2Regex.IsMatch(code))
+        {
+            return NotFound();
+        }
+
+        var bytes = FlagCache.GetOrAdd(folder + "/" + code, _ => TryReadEmbeddedBytes($"Jellyfin.Plugin.ActorPlus.Resources.flags.{folder}.{code}.svg"));
+        if (bytes == null)
+        {
+            return NotFound();
+        }
+
+        Response.Headers.CacheControl = FlagCacheControl;
+        return File(bytes, "image/svg+xml");
+    }
+
+    private static byte[]? TryReadEmbeddedBytes(string resourceName)
+    {
+        var asm = Assembly.GetExecutingAssembly();
+        using var stream = asm.GetManifestResourceStream(resourceName);
+        if (stream == null)
+        {
+            return null;
+        }
+
+        using var ms = new MemoryStream();
+        stream.CopyTo(ms);
+        return ms.ToArray();
+    }
+
     private static string ReadEmbedded(string resourceName)
     {
         var asm = Assembly.GetExecutingAssembly();
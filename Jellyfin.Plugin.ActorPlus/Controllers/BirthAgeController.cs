@@ -1,10 +1,12 @@
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.ActorPlus.Services;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 
 namespace Jellyfin.Plugin.ActorPlus.Controllers;
@@ -13,34 +15,184 @@ namespace Jellyfin.Plugin.ActorPlus.Controllers;
 [Route("ActorPlus")]
 public class BirthAgeController : ControllerBase
 {
+    // Upper bound for a single /changes page; clients keep paging while HasMore is set.
+    private const int MaxChangesPerPage = 2000;
+
+    // Comment line sent on idle /events streams so proxies don't drop the connection.
+    private static readonly TimeSpan EventsHeartbeat = TimeSpan.FromSeconds(25);
+
+    // /events streams end after this; the browser reconnects (after the "retry" delay) with a fresh request,
+    // so abandoned connections can't pile up.
+    private static readonly TimeSpan EventsMaxLifetime = TimeSpan.FromMinutes(30);
+    private const string EventsRetryField = "retry: 5000\n\n";
+
+    // Claim Jellyfin's auth handler puts the authenticated user's id in.
+    private const string UserIdClaim = "Jellyfin-UserId";
+
     private readonly PersonAgeService _ageService;
+    private readonly ConfigChangeNotifier _configNotifier;
+    private readonly UserPreferencesService _userPreferences;
+    private readonly SeriesCastService _seriesCast;
 
-    public BirthAgeController(PersonAgeService ageService)
+    public BirthAgeController(
+        PersonAgeService ageService,
+        ConfigChangeNotifier configNotifier,
+        UserPreferencesService userPreferences,
+        SeriesCastService seriesCast)
     {
         _ageService = ageService;
+        _configNotifier = configNotifier;
+        _userPreferences = userPreferences;
+        _seriesCast = seriesCast;
     }
 
+    /// <summary>
+    /// Effective settings: server-wide configuration merged with the calling user's overrides (if signed in).
+    /// </summary>
     [HttpGet("status")]
     public ActionResult<StatusResponse> GetStatus()
+    {
+        return BuildStatus(_userPreferences.Get(GetCallingUserId()));
+    }
+
+    /// <summary>
+    /// Server-sent events: a "config" event with the server-wide <see cref="StatusResponse"/> payload on connect
+    /// and again whenever the plugin configuration is saved. The stream is not per-user; clients re-read
+    /// /status to apply their own overrides. EventSource can't send headers, so clients authenticate with
+    /// the ApiKey query parameter. Each stream lives at most <see cref="EventsMaxLifetime"/>.
+    /// </summary>
+    [Authorize]
+    [HttpGet("events")]
+    public async Task GetEvents(CancellationToken requestAborted)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        using var lifetime = CancellationTokenSource.CreateLinkedTokenSource(requestAborted);
+        lifetime.CancelAfter(EventsMaxLifetime);
+        var ct = lifetime.Token;
+
+        try
+        {
+            await Response.WriteAsync(EventsRetryField, ct).ConfigureAwait(false);
+            await WriteEventAsync("config", BuildStatus(NoOverrides), ct).ConfigureAwait(false);
+
+            // One wait per config change, kept across heartbeats: each call registers on ct until it completes.
+            var changed = _configNotifier.WaitForChangeAsync(ct);
+            while (!ct.IsCancellationRequested)
+            {
+                var finished = await Task.WhenAny(changed, Task.Delay(EventsHeartbeat, ct)).ConfigureAwait(false);
+                ct.ThrowIfCancellationRequested();
+
+                if (finished == changed)
+                {
+                    changed = _configNotifier.WaitForChangeAsync(ct);
+                    await WriteEventAsync("config", BuildStatus(NoOverrides), ct).ConfigureAwait(false);
+                }
+                else
+                {
+                    await Response.WriteAsync(": ping\n\n", ct).ConfigureAwait(false);
+                    await Response.Body.FlushAsync(ct).ConfigureAwait(false);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // client went away, or the stream reached its lifetime
+        }
+    }
+
+    private async Task WriteEventAsync(string name, object payload, CancellationToken ct)
+    {
+        var json = JsonSerializer.Serialize(payload);
+        await Response.WriteAsync("event: " + name + "\ndata: " + json + "\n\n", ct).ConfigureAwait(false);
+        await Response.Body.FlushAsync(ct).ConfigureAwait(false);
+    }
+
+    private static readonly IReadOnlyDictionary<string, string> NoOverrides = new Dictionary<string, string>();
+
+    private static readonly string[] CrewTypes = { "Director", "Writer", "Producer", "Composer" };
+
+    // Server-wide values narrowed by the user's overrides (see UserPreferencesService.OverridableKeys):
+    // features the server turned off stay off, and limits can't exceed the server's.
+    private static StatusResponse BuildStatus(IReadOnlyDictionary<string, string> prefs)
     {
         var cfg = Plugin.Instance?.Configuration;
         return new StatusResponse
         {
             Enabled = cfg?.EnableOverlay ?? false,
             UseTmdbFallback = cfg?.UseTmdbFallback ?? false,
-            ShowAgeAtRelease = cfg?.ShowAgeAtRelease ?? true,
-            ShowAgeIcons = cfg?.ShowAgeIcons ?? false,
-            ShowBirthCountryFlag = cfg?.ShowBirthCountryFlag ?? true,
-            ShowBirthPlaceText = cfg?.ShowBirthPlaceText ?? false,
-            ShowDeceasedOverlay = cfg?.ShowDeceasedOverlay ?? false,
-            EnableHoverFilmography = cfg?.EnableHoverFilmography ?? false,
-            RandomizeHoverFilmography = cfg?.RandomizeHoverFilmography ?? false,
-            HoverFilmographyLimit = cfg?.HoverFilmographyLimit ?? 12,
-            EnableHoverCastMenu = cfg?.EnableHoverCastMenu ?? false,
-            HoverCastLimit = cfg?.HoverCastLimit ?? 12,
+            ShowAgeAtDeath = cfg?.ShowAgeAtDeath ?? true,
+            ShowAgeAtRelease = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowAgeAtRelease), cfg?.ShowAgeAtRelease ?? true),
+            ShowAgeIcons = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowAgeIcons), cfg?.ShowAgeIcons ?? false),
+            ShowBirthCountryFlag = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowBirthCountryFlag), cfg?.ShowBirthCountryFlag ?? true),
+            ShowBirthPlaceText = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowBirthPlaceText), cfg?.ShowBirthPlaceText ?? false),
+            FlagStyle = UserPreferencesService.NormalizeFlagStyle(
+                UserPreferencesService.GetString(prefs, nameof(StatusResponse.FlagStyle), cfg?.FlagStyle ?? "twemoji")),
+            ShowDeceasedOverlay = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowDeceasedOverlay), cfg?.ShowDeceasedOverlay ?? false),
+            HighlightBirthdays = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.HighlightBirthdays), cfg?.HighlightBirthdays ?? false),
+            HighlightMemorials = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.HighlightMemorials), cfg?.HighlightMemorials ?? false),
+            HighlightWindowDays = Math.Clamp(cfg?.HighlightWindowDays ?? 0, 0, 30),
+            EnableHoverFilmography = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.EnableHoverFilmography), cfg?.EnableHoverFilmography ?? false),
+            RandomizeHoverFilmography = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.RandomizeHoverFilmography), cfg?.RandomizeHoverFilmography ?? false),
+            HoverFilmographyLimit = UserPreferencesService.GetCappedInt(prefs, nameof(StatusResponse.HoverFilmographyLimit), cfg?.HoverFilmographyLimit ?? 12),
+            EnableHoverCastMenu = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.EnableHoverCastMenu), cfg?.EnableHoverCastMenu ?? false),
+            HoverCastLimit = UserPreferencesService.GetCappedInt(prefs, nameof(StatusResponse.HoverCastLimit), cfg?.HoverCastLimit ?? 12),
+            HoverCastCrewTypes = NormalizeCrewTypes(cfg?.HoverCastCrewTypes ?? "Director,Writer"),
+            AggregateSeriesCast = cfg?.AggregateSeriesCast ?? true,
+            ShowBornThisWeekRow = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowBornThisWeekRow), cfg?.ShowBornThisWeekRow ?? false),
+            ShowCastAgeTimeline = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowCastAgeTimeline), cfg?.ShowCastAgeTimeline ?? false),
+            ShowCastSummary = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowCastSummary), cfg?.ShowCastSummary ?? false),
+            ShowCareerTimeline = UserPreferencesService.GetCappedBool(prefs, nameof(StatusResponse.ShowCareerTimeline), cfg?.ShowCareerTimeline ?? false),
         };
     }
 
+    // Known crew types only, in the order the popup shows them.
+    private static string NormalizeCrewTypes(string value)
+    {
+        var requested = value.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        return string.Join(',', CrewTypes.Where(c => requested.Contains(c, StringComparer.OrdinalIgnoreCase)));
+    }
+
+    /// <summary>
+    /// The calling user's overrides plus the server-wide defaults they fall back to.
+    /// </summary>
+    [Authorize]
+    [HttpGet("preferences")]
+    public ActionResult<PreferencesResponse> GetPreferences()
+    {
+        var userId = GetCallingUserId();
+        if (userId == Guid.Empty)
+        {
+            return Forbid();
+        }
+
+        return new PreferencesResponse
+        {
+            Overrides = new Dictionary<string, string>(_userPreferences.Get(userId)),
+            Defaults = BuildStatus(NoOverrides),
+        };
+    }
+
+    /// <summary>
+    /// Replaces the calling user's overrides (keys missing from the body fall back to the server-wide value).
+    /// Returns the new effective <see cref="StatusResponse"/>.
+    /// </summary>
+    [Authorize]
+    [HttpPost("preferences")]
+    public ActionResult<StatusResponse> SetPreferences([FromBody] Dictionary<string, string?> overrides)
+    {
+        var userId = GetCallingUserId();
+        if (userId == Guid.Empty)
+        {
+            return Forbid();
+        }
+
+        var saved = _userPreferences.Set(userId, overrides ?? new Dictionary<string, string?>());
+        return BuildStatus(saved);
+    }
+
     [Authorize]
     [HttpGet("age")]
     public async Task<ActionResult<PersonAgeDto>> GetAge([FromQuery] Guid personId, CancellationToken ct)
@@ -101,6 +253,97 @@ public class BirthAgeController : ControllerBase
         return dict.ToDictionary(kv => kv.Key, kv => new PersonAgeDto(kv.Value));
     }
 
+    [Authorize]
+    [HttpGet("changes")]
+    public async Task<ActionResult<ChangesResponse>> GetChanges([FromQuery] DateTimeOffset? since, [FromQuery] Guid? afterId, CancellationToken ct)
+    {
+        var now = DateTimeOffset.UtcNow;
+
+        // No cursor yet: hand out a starting point only. A fresh client fills its cache through /ages.
+        if (since == null)
+        {
+            return new ChangesResponse { NextSince = now };
+        }
+
+        var changes = await _ageService.GetChangedSinceAsync(since.Value, afterId, MaxChangesPerPage, ct).ConfigureAwait(false);
+        var hasMore = changes.Count >= MaxChangesPerPage;
+
+        // A full page continues right after its last entry; timestamps can repeat, so the id goes along.
+        return new ChangesResponse
+        {
+            NextSince = hasMore ? changes[^1].UpdatedUtc : now,
+            NextAfterId = hasMore ? changes[^1].Info.PersonId : null,
+            HasMore = hasMore,
+            People = changes.ToDictionary(c => c.Info.PersonId, c => new PersonAgeDto(c.Info)),
+        };
+    }
+
+    /// <summary>
+    /// Home-screen "Born this week" row: upcoming birthdays of people the calling user can see in the library.
+    /// </summary>
+    [Authorize]
+    [HttpGet("birthdays")]
+    public async Task<ActionResult<BirthdaysResponse>> GetBirthdays(CancellationToken ct)
+    {
+        var cfg = Plugin.Instance?.Configuration;
+        var daysAhead = Math.Clamp(cfg?.BornThisWeekDaysAhead ?? 7, 1, 31);
+        var response = new BirthdaysResponse { DaysAhead = daysAhead };
+
+        var userId = GetCallingUserId();
+        if (userId == Guid.Empty)
+        {
+            return Forbid();
+        }
+
+        if (cfg == null || !BuildStatus(_userPreferences.Get(userId)).ShowBornThisWeekRow)
+        {
+            return response;
+        }
+
+        var birthdays = await _ageService.GetUpcomingBirthdaysAsync(
+            userId,
+            daysAhead,
+            Math.Clamp(cfg.BornThisWeekMaxEntries, 1, 100),
+            cfg.BornThisWeekLivingOnly,
+            ct).ConfigureAwait(false);
+
+        response.People = birthdays.Select(b => new BirthdayDto(b)).ToList();
+        return response;
+    }
+
+    /// <summary>
+    /// Everyone credited on the series or any of its episodes, most episodes first.
+    /// </summary>
+    [Authorize]
+    [HttpGet("series/{seriesId}/cast")]
+    public async Task<ActionResult<SeriesCastService.SeriesCast>> GetSeriesCast([FromRoute] Guid seriesId, CancellationToken ct)
+    {
+        var userId = GetCallingUserId();
+        if (userId == Guid.Empty)
+        {
+            return Forbid();
+        }
+
+        if (seriesId == Guid.Empty)
+        {
+            return BadRequest();
+        }
+
+        var cast = await _seriesCast.GetSeriesCastAsync(userId, seriesId, ct).ConfigureAwait(false);
+        if (cast == null)
+        {
+            return NotFound();
+        }
+
+        return cast;
+    }
+
+    private Guid GetCallingUserId()
+    {
+        var raw = User.FindFirst(UserIdClaim)?.Value;
+        return Guid.TryParse(raw, out var id) ? id : Guid.Empty;
+    }
+
     public sealed class DebugResponse
     {
         public Guid PersonId { get; set; }
@@ -120,15 +363,68 @@ public class BirthAgeController : ControllerBase
         public Guid[] PersonIds { get; set; } = Array.Empty<Guid>();
     }
 
+    public sealed class ChangesResponse
+    {
+        public DateTimeOffset NextSince { get; set; }
+        public Guid? NextAfterId { get; set; }
+        public bool HasMore { get; set; }
+        public Dictionary<Guid, PersonAgeDto> People { get; set; } = new();
+    }
+
+    public sealed class PreferencesResponse
+    {
+        public Dictionary<string, string> Overrides { get; set; } = new();
+        public StatusResponse Defaults { get; set; } = new();
+    }
+
+    public sealed class BirthdaysResponse
+    {
+        public int DaysAhead { get; set; }
+        public List<BirthdayDto> People { get; set; } = new();
+    }
+
+    public sealed class BirthdayDto
+    {
+        public Guid PersonId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? BirthDate { get; set; }
+        public string? DeathDate { get; set; }
+        public bool IsDeceased { get; set; }
+        public string? BirthCountryIso2 { get; set; }
+        public string? NextBirthday { get; set; }
+        public int DaysUntil { get; set; }
+        public int TurnsAge { get; set; }
+
+        public BirthdayDto() { }
+
+        public BirthdayDto(PersonAgeService.UpcomingBirthday b)
+        {
+            PersonId = b.Info.PersonId;
+            Name = b.Name;
+            BirthDate = b.Info.BirthDate?.ToString("yyyy-MM-dd");
+            DeathDate = b.Info.DeathDate?.ToString("yyyy-MM-dd");
+            IsDeceased = b.Info.IsDeceased;
+            BirthCountryIso2 = b.Info.BirthCountryIso2;
+            NextBirthday = b.NextBirthday.ToString("yyyy-MM-dd");
+            DaysUntil = b.DaysUntil;
+            TurnsAge = b.TurnsAge;
+        }
+    }
+
     public sealed class StatusResponse
     {
         public bool Enabled { get; set; }
         public bool UseTmdbFallback { get; set; }
+        public bool ShowAgeAtDeath { get; set; }
         public bool ShowAgeAtRelease { get; set; }
         public bool ShowAgeIcons { get; set; }
         public bool ShowBirthCountryFlag { get; set; }
         public bool ShowBirthPlaceText { get; set; }
+        public string FlagStyle { get; set; } = "twemoji";
         public bool ShowDeceasedOverlay { get; set; }
+        public bool HighlightBirthdays { get; set; }
+        public bool HighlightMemorials { get; set; }
+        public int HighlightWindowDays { get; set; }
 
         public bool EnableHoverFilmography { get; set; }
         public bool RandomizeHoverFilmography { get; set; }
@@ -137,6 +433,16 @@ public class BirthAgeController : ControllerBase
 
         public bool EnableHoverCastMenu { get; set; }
         public int HoverCastLimit { get; set; }
+        public string HoverCastCrewTypes { get; set; } = string.Empty;
+        public bool AggregateSeriesCast { get; set; }
+
+        public bool ShowBornThisWeekRow { get; set; }
+
+        public bool ShowCastAgeTimeline { get; set; }
+
+        public bool ShowCastSummary { get; set; }
+
+        public bool ShowCareerTimeline { get; set; }
     }
 
     public sealed class PersonAgeDto
@@ -2,6 +2,7 @@ using System.Collections.Generic;
 using System;
 using System.Collections.Concurrent;
 using System.IO;
+using System.Linq;
 using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
@@ -68,6 +69,31 @@ public sealed class BirthDateCacheStore
         return _cache.TryGetValue(personId, out entry!);
     }
 
+    /// <summary>
+    /// Returns entries after the (<paramref name="since"/>, <paramref name="afterId"/>) cursor, ordered by
+    /// UpdatedUtc then id. The id breaks ties, so a page boundary inside a bulk refresh loses nothing.
+    /// </summary>
+    public IReadOnlyList<KeyValuePair<Guid, CacheEntry>> GetChangedSince(DateTimeOffset since, Guid? afterId, int limit)
+    {
+        return _cache
+            .Where(kv => kv.Value.UpdatedUtc > since
+                || (afterId != null && kv.Value.UpdatedUtc == since && kv.Key.CompareTo(afterId.Value) > 0))
+            .OrderBy(kv => kv.Value.UpdatedUtc)
+            .ThenBy(kv => kv.Key)
+            .Take(Math.Max(1, limit))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Returns entries whose birth date falls on one of <paramref name="monthDays"/> ("MM-dd" keys).
+    /// </summary>
+    public IReadOnlyList<KeyValuePair<Guid, CacheEntry>> GetBornOn(IReadOnlySet<string> monthDays)
+    {
+        return _cache
+            .Where(kv => kv.Value.BirthDate is { Length: >= 10 } b && monthDays.Contains(b.Substring(5, 5)))
+            .ToList();
+    }
+
     public void Set(Guid personId, CacheEntry entry)
     {
         _cache[personId] = entry;
@@ -0,0 +1,61 @@
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Model.Plugins;
+
+namespace Jellyfin.Plugin.ActorPlus.Services;
+
+/// <summary>
+/// Signals open web clients (via /ActorPlus/events) that the plugin configuration was saved.
+/// Waiters get a task that completes on the next change; each change swaps in a fresh task.
+/// </summary>
+public sealed class ConfigChangeNotifier : IDisposable
+{
+    private readonly object _lock = new();
+    private TaskCompletionSource _next = NewSource();
+    private Plugin? _subscribedPlugin;
+
+    public ConfigChangeNotifier()
+    {
+        _subscribedPlugin = Plugin.Instance;
+        if (_subscribedPlugin != null)
+        {
+            _subscribedPlugin.ConfigurationChanged += OnConfigurationChanged;
+        }
+    }
+
+    public Task WaitForChangeAsync(CancellationToken ct)
+    {
+        Task task;
+        lock (_lock)
+        {
+            task = _next.Task;
+        }
+
+        return task.WaitAsync(ct);
+    }
+
+    public void Dispose()
+    {
+        if (_subscribedPlugin != null)
+        {
+            _subscribedPlugin.ConfigurationChanged -= OnConfigurationChanged;
+            _subscribedPlugin = null;
+        }
+    }
+
+    private void OnConfigurationChanged(object? sender, BasePluginConfiguration e)
+    {
+        TaskCompletionSource previous;
+        lock (_lock)
+        {
+            previous = _next;
+            _next = NewSource();
+        }
+
+        previous.TrySetResult();
+    }
+
+    private static TaskCompletionSource NewSource()
+        => new(TaskCreationOptions.RunContinuationsAsynchronously);
+}
@@ -1,9 +1,11 @@
 using System;
 using System.Collections.Generic;
 using System.Globalization;
+using System.Linq;
 using System.Reflection;
 using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Data.Enums;
 using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Library;
 using Microsoft.Extensions.Logging;
@@ -13,6 +15,7 @@ namespace Jellyfin.Plugin.ActorPlus.Services;
 public sealed class PersonAgeService
 {
     private readonly ILibraryManager _libraryManager;
+    private readonly IUserManager _userManager;
     private readonly BirthDateCacheStore _cache;
     private readonly TmdbPersonClient _tmdb;
     private readonly CountryCodeMapper _countryCodeMapper;
@@ -20,12 +23,14 @@ public sealed class PersonAgeService
 
     public PersonAgeService(
         ILibraryManager libraryManager,
+        IUserManager userManager,
         BirthDateCacheStore cache,
         TmdbPersonClient tmdb,
         CountryCodeMapper countryCodeMapper,
         ILogger<PersonAgeService> logger)
     {
         _libraryManager = libraryManager;
+        _userManager = userManager;
         _cache = cache;
         _tmdb = tmdb;
         _countryCodeMapper = countryCodeMapper;
@@ -204,6 +209,127 @@ public sealed class PersonAgeService
         return dict;
     }
 
+    /// <summary>
+    /// Delta sync for web clients: cache entries changed after <paramref name="since"/>.
+    /// Returned in (UpdatedUtc, id) order so the caller can page with the last entry's timestamp and id.
+    /// </summary>
+    public async Task<IReadOnlyList<(AgeInfo Info, DateTimeOffset UpdatedUtc)>> GetChangedSinceAsync(DateTimeOffset since, Guid? afterId, int limit, CancellationToken ct)
+    {
+        await _cache.EnsureLoadedAsync(ct).ConfigureAwait(false);
+
+        var nowDate = DateOnly.FromDateTime(DateTime.Now);
+        var list = new List<(AgeInfo, DateTimeOffset)>();
+        foreach (var kv in _cache.GetChangedSince(since, afterId, limit))
+        {
+            list.Add((BuildAgeInfo(kv.Key, kv.Value, nowDate, cacheHit: true), kv.Value.UpdatedUtc));
+        }
+
+        return list;
+    }
+
+    /// <summary>
+    /// People whose birthday falls within the next <paramref name="daysAhead"/> days (today included),
+    /// limited to those who appear in at least one title <paramref name="userId"/> can see.
+    /// Sorted by days until the birthday, then by name.
+    /// </summary>
+    public async Task<IReadOnlyList<UpcomingBirthday>> GetUpcomingBirthdaysAsync(
+        Guid userId,
+        int daysAhead,
+        int limit,
+        bool livingOnly,
+        CancellationToken ct)
+    {
+        var list = new List<UpcomingBirthday>();
+        var user = _userManager.GetUserById(userId);
+        if (user == null || limit <= 0)
+        {
+            return list;
+        }
+
+        await _cache.EnsureLoadedAsync(ct).ConfigureAwait(false);
+
+        var today = DateOnly.FromDateTime(DateTime.Now);
+        var keys = new HashSet<string>(StringComparer.Ordinal);
+        for (var i = 0; i < daysAhead; i++)
+        {
+            var d = today.AddDays(i);
+            keys.Add(d.ToString("MM-dd", CultureInfo.InvariantCulture));
+
+            // Feb 29 birthdays are celebrated on Mar 1 in non-leap years.
+            if (d.Month == 3 && d.Day == 1 && !DateTime.IsLeapYear(d.Year))
+            {
+                keys.Add("02-29");
+            }
+        }
+
+        var candidates = new List<(Guid Id, BirthDateCacheStore.CacheEntry Entry, DateOnly Birth, DateOnly Next)>();
+        foreach (var kv in _cache.GetBornOn(keys))
+        {
+            var birth = TryParse(kv.Value.BirthDate);
+            if (birth == null || (livingOnly && TryParse(kv.Value.DeathDate) != null))
+            {
+                continue;
+            }
+
+            candidates.Add((kv.Key, kv.Value, birth.Value, NextBirthday(birth.Value, today)));
+        }
+
+        foreach (var c in candidates.OrderBy(c => c.Next))
+        {
+            if (list.Count >= limit)
+            {
+                break;
+            }
+
+            ct.ThrowIfCancellationRequested();
+
+            if (_libraryManager.GetItemById(c.Id) is not Person person)
+            {
+                continue;
+            }
+
+            var visible = _libraryManager.GetItemList(new InternalItemsQuery(user)
+            {
+                PersonIds = new[] { c.Id },
+                IncludeItemTypes = new[] { BaseItemKind.Movie, BaseItemKind.Series, BaseItemKind.Episode },
+                Recursive = true,
+                Limit = 1,
+            });
+            if (visible.Count == 0)
+            {
+                continue;
+            }
+
+            list.Add(new UpcomingBirthday
+            {
+                Info = BuildAgeInfo(c.Id, c.Entry, today, cacheHit: true),
+                Name = person.Name,
+                NextBirthday = c.Next,
+                DaysUntil = c.Next.DayNumber - today.DayNumber,
+                TurnsAge = c.Next.Year - c.Birth.Year,
+            });
+        }
+
+        // Same day: alphabetical, so the row doesn't reshuffle between visits.
+        return list
+            .OrderBy(b => b.DaysUntil)
+            .ThenBy(b => b.Name, StringComparer.CurrentCultureIgnoreCase)
+            .ToList();
+    }
+
+    private static DateOnly NextBirthday(DateOnly birth, DateOnly today)
+    {
+        var next = AnniversaryIn(birth, today.Year);
+        return next < today ? AnniversaryIn(birth, today.Year + 1) : next;
+    }
+
+    private static DateOnly AnniversaryIn(DateOnly birth, int year)
+    {
+        return birth.Month == 2 && birth.Day == 29 && !DateTime.IsLeapYear(year)
+            ? new DateOnly(year, 3, 1)
+            : new DateOnly(year, birth.Month, birth.Day);
+    }
+
     private AgeInfo BuildAgeInfo(Guid personId, BirthDateCacheStore.CacheEntry entry, DateOnly now, bool cacheHit)
     {
         var birth = TryParse(entry.BirthDate);
@@ -441,6 +567,15 @@ public sealed class PersonAgeService
         return years;
     }
 
+    public sealed class UpcomingBirthday
+    {
+        public AgeInfo Info { get; init; } = new();
+        public string Name { get; init; } = string.Empty;
+        public DateOnly NextBirthday { get; init; }
+        public int DaysUntil { get; init; }
+        public int TurnsAge { get; init; }
+    }
+
     public sealed class AgeInfo
     {
         public Guid PersonId { get; init; }
@@ -17,6 +17,10 @@ public class PluginServiceRegistrator : IPluginServiceRegistrator
         serviceCollection.AddSingleton<CountryCodeMapper>();
         serviceCollection.AddSingleton<TmdbPersonClient>();
         serviceCollection.AddSingleton<PersonAgeService>();
+        serviceCollection.AddSingleton<SeriesCastService>();
+        serviceCollection.AddSingleton<ConfigChangeNotifier>();
+        // Scoped: Jellyfin's display preferences manager works on a per-request database context.
+        serviceCollection.AddScoped<UserPreferencesService>();
         serviceCollection.AddHostedService<IndexHtmlInjectorHostedService>();
     }
 }
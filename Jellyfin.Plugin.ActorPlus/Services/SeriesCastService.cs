@@ -0,0 +1,281 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Data.Enums;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.ActorPlus.Services;
+
+/// <summary>
+/// Cast of a whole series: the series-level People plus everyone credited on its episodes,
+/// with per-person episode counts and season range. Reading People for every episode is slow on
+/// long-running shows, so results are cached in memory until the library reports a change to the
+/// series, one of its seasons or episodes (a cache hit costs no library query).
+/// The aggregate is shared by all users: access to the series is checked per user, but parental
+/// ratings on individual episodes are not applied to the counts.
+/// </summary>
+public sealed class SeriesCastService : IDisposable
+{
+    // Cached series beyond this are dropped oldest-first.
+    private const int MaxCachedSeries = 200;
+
+    // Safety net for changes the library events don't report (e.g. people merged in the database).
+    private static readonly TimeSpan CacheTtl = TimeSpan.FromHours(12);
+
+    private readonly ILibraryManager _libraryManager;
+    private readonly IUserManager _userManager;
+    private readonly ILogger<SeriesCastService> _logger;
+    private readonly ConcurrentDictionary<Guid, CacheEntry> _cache = new();
+
+    // One aggregation at a time: hovering through a row of shows shouldn't fan out into thousands of queries.
+    private readonly SemaphoreSlim _gate = new(1, 1);
+
+    // Bumped on every series/season/episode change, so a result computed across a change isn't cached.
+    private long _changeVersion;
+
+    public SeriesCastService(ILibraryManager libraryManager, IUserManager userManager, ILogger<SeriesCastService> logger)
+    {
+        _libraryManager = libraryManager;
+        _userManager = userManager;
+        _logger = logger;
+
+        _libraryManager.ItemAdded += OnItemChanged;
+        _libraryManager.ItemUpdated += OnItemChanged;
+        _libraryManager.ItemRemoved += OnItemChanged;
+    }
+
+    public void Dispose()
+    {
+        _libraryManager.ItemAdded -= OnItemChanged;
+        _libraryManager.ItemUpdated -= OnItemChanged;
+        _libraryManager.ItemRemoved -= OnItemChanged;
+        _gate.Dispose();
+    }
+
+    /// <summary>
+    /// The aggregated cast, or null when the series doesn't exist or the user can't see it.
+    /// </summary>
+    public async Task<SeriesCast?> GetSeriesCastAsync(Guid userId, Guid seriesId, CancellationToken ct)
+    {
+        var user = _userManager.GetUserById(userId);
+        if (user == null || _libraryManager.GetItemById(seriesId) is not Series series || !series.IsVisible(user))
+        {
+            return null;
+        }
+
+        if (TryGetCached(seriesId, out var cached))
+        {
+            return cached;
+        }
+
+        await _gate.WaitAsync(ct).ConfigureAwait(false);
+        try
+        {
+            // Another request may have filled it while we waited.
+            if (TryGetCached(seriesId, out cached))
+            {
+                return cached;
+            }
+
+            var version = Interlocked.Read(ref _changeVersion);
+
+            // Episodes are only loaded on a miss. Not filtered by user: the result is shared (see class remarks).
+            var episodes = _libraryManager.GetItemList(new InternalItemsQuery
+            {
+                AncestorIds = new[] { seriesId },
+                IncludeItemTypes = new[] { BaseItemKind.Episode },
+                Recursive = true,
+            });
+
+            var cast = Aggregate(series, episodes, ct);
+            if (Interlocked.Read(ref _changeVersion) == version)
+            {
+                _cache[seriesId] = new CacheEntry(cast, DateTimeOffset.UtcNow);
+                Prune();
+            }
+
+            return cast;
+        }
+        finally
+        {
+            _gate.Release();
+        }
+    }
+
+    private bool TryGetCached(Guid seriesId, out SeriesCast? cast)
+    {
+        cast = null;
+        if (!_cache.TryGetValue(seriesId, out var entry))
+        {
+            return false;
+        }
+
+        if (DateTimeOffset.UtcNow - entry.CreatedUtc > CacheTtl)
+        {
+            _cache.TryRemove(seriesId, out _);
+            return false;
+        }
+
+        cast = entry.Cast;
+        return true;
+    }
+
+    // A change to the series, a season or an episode (new guest stars, removed episodes) drops its entry.
+    private void OnItemChanged(object? sender, ItemChangeEventArgs e)
+    {
+        var seriesId = e.Item switch
+        {
+            Series series => series.Id,
+            Season season => season.SeriesId,
+            Episode episode => episode.SeriesId,
+            _ => Guid.Empty,
+        };
+
+        if (seriesId != Guid.Empty)
+        {
+            Interlocked.Increment(ref _changeVersion);
+            _cache.TryRemove(seriesId, out _);
+        }
+    }
+
+    private SeriesCast Aggregate(Series series, IReadOnlyList<BaseItem> episodes, CancellationToken ct)
+    {
+        var byKey = new Dictionary<string, SeriesCastMember>(StringComparer.OrdinalIgnoreCase);
+        var order = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+
+        // Series-level credits first: they carry the main roles and the billing order.
+        foreach (var p in GetActors(series))
+        {
+            var key = KeyOf(p);
+            if (!byKey.ContainsKey(key))
+            {
+                byKey[key] = NewMember(p);
+                order[key] = p.SortOrder ?? (int.MaxValue - 1);
+            }
+        }
+
+        foreach (var item in episodes)
+        {
+            ct.ThrowIfCancellationRequested();
+
+            var season = (item as Episode)?.ParentIndexNumber;
+            var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            IEnumerable<PersonInfo> people;
+            try
+            {
+                people = GetActors(item);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Failed to read people of episode {EpisodeId}", item.Id);
+                continue;
+            }
+
+            foreach (var p in people)
+            {
+                var key = KeyOf(p);
+                if (!seen.Add(key))
+                {
+                    continue;
+                }
+
+                if (!byKey.TryGetValue(key, out var member))
+                {
+                    member = NewMember(p);
+                    byKey[key] = member;
+                    order[key] = int.MaxValue;
+                }
+
+                member.EpisodeCount++;
+                if (string.IsNullOrWhiteSpace(member.Role) && !string.IsNullOrWhiteSpace(p.Role))
+                {
+                    member.Role = p.Role;
+                }
+
+                // Specials (season 0) count as episodes but don't widen the season range.
+                if (season is > 0)
+                {
+                    member.FirstSeason = member.FirstSeason is { } first ? Math.Min(first, season.Value) : season;
+                    member.LastSeason = member.LastSeason is { } last ? Math.Max(last, season.Value) : season;
+                }
+            }
+        }
+
+        var people = byKey
+            .OrderByDescending(kv => kv.Value.EpisodeCount)
+            .ThenBy(kv => order[kv.Key])
+            .ThenBy(kv => kv.Value.Name, StringComparer.OrdinalIgnoreCase)
+            .Select(kv => kv.Value)
+            .ToList();
+
+        return new SeriesCast
+        {
+            SeriesId = series.Id,
+            EpisodeCount = episodes.Count,
+            People = people,
+        };
+    }
+
+    private IEnumerable<PersonInfo> GetActors(BaseItem item)
+    {
+        return _libraryManager.GetPeople(item)
+            .Where(p => (p.Type is PersonKind.Actor or PersonKind.GuestStar) && !string.IsNullOrWhiteSpace(p.Name));
+    }
+
+    // People without a resolved person item (rare) are merged by name.
+    private static string KeyOf(PersonInfo p)
+    {
+        return p.Id != Guid.Empty ? p.Id.ToString("N") : "name:" + p.Name.Trim();
+    }
+
+    private static SeriesCastMember NewMember(PersonInfo p)
+    {
+        return new SeriesCastMember
+        {
+            Id = p.Id == Guid.Empty ? null : p.Id,
+            Name = p.Name,
+            Role = p.Role,
+            Type = p.Type.ToString(),
+        };
+    }
+
+    private void Prune()
+    {
+        var excess = _cache.Count - MaxCachedSeries;
+        if (excess <= 0)
+        {
+            return;
+        }
+
+        foreach (var kv in _cache.OrderBy(kv => kv.Value.CreatedUtc).Take(excess).ToList())
+        {
+            _cache.TryRemove(kv.Key, out _);
+        }
+    }
+
+    private sealed record CacheEntry(SeriesCast Cast, DateTimeOffset CreatedUtc);
+
+    public sealed class SeriesCast
+    {
+        public Guid SeriesId { get; init; }
+        public int EpisodeCount { get; init; }
+        public IReadOnlyList<SeriesCastMember> People { get; init; } = Array.Empty<SeriesCastMember>();
+    }
+
+    public sealed class SeriesCastMember
+    {
+        public Guid? Id { get; init; }
+        public string Name { get; init; } = string.Empty;
+        public string? Role { get; set; }
+        public string Type { get; init; } = string.Empty;
+        public int EpisodeCount { get; set; }
+        public int? FirstSeason { get; set; }
+        public int? LastSeason { get; set; }
+    }
+}
@@ -0,0 +1,171 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using MediaBrowser.Controller;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.ActorPlus.Services;
+
+/// <summary>
+/// Per-user overrides of the overlay settings, kept in Jellyfin's display preferences
+/// (client "ActorPlus") so they follow the user across browsers and devices.
+/// A missing key means "use the server-wide value". Overrides can only narrow the server settings:
+/// a user may turn a feature off or lower a limit, but not enable what the administrator turned off.
+/// </summary>
+public sealed class UserPreferencesService
+{
+    private const string Client = "ActorPlus";
+
+    // Fixed item id the preferences are stored under (display preferences are keyed by user + item + client).
+    private static readonly Guid PreferencesItemId = new("5f3c1a9e-7d42-4c8b-9a61-2e0b4d7c8a13");
+
+    /// <summary>
+    /// Keys a user may override, with their value kind. Names match <c>StatusResponse</c> properties.
+    /// </summary>
+    public static readonly IReadOnlyDictionary<string, PreferenceKind> OverridableKeys = new Dictionary<string, PreferenceKind>(StringComparer.OrdinalIgnoreCase)
+    {
+        ["ShowAgeAtRelease"] = PreferenceKind.Bool,
+        ["ShowAgeIcons"] = PreferenceKind.Bool,
+        ["ShowBirthCountryFlag"] = PreferenceKind.Bool,
+        ["ShowBirthPlaceText"] = PreferenceKind.Bool,
+        ["FlagStyle"] = PreferenceKind.FlagStyle,
+        ["ShowDeceasedOverlay"] = PreferenceKind.Bool,
+        ["HighlightBirthdays"] = PreferenceKind.Bool,
+        ["HighlightMemorials"] = PreferenceKind.Bool,
+        ["EnableHoverFilmography"] = PreferenceKind.Bool,
+        ["HoverFilmographyLimit"] = PreferenceKind.Limit,
+        ["RandomizeHoverFilmography"] = PreferenceKind.Bool,
+        ["EnableHoverCastMenu"] = PreferenceKind.Bool,
+        ["HoverCastLimit"] = PreferenceKind.Limit,
+        ["ShowBornThisWeekRow"] = PreferenceKind.Bool,
+        ["ShowCastAgeTimeline"] = PreferenceKind.Bool,
+        ["ShowCastSummary"] = PreferenceKind.Bool,
+        ["ShowCareerTimeline"] = PreferenceKind.Bool,
+    };
+
+    private readonly IDisplayPreferencesManager _displayPreferences;
+    private readonly ILogger<UserPreferencesService> _logger;
+
+    public UserPreferencesService(IDisplayPreferencesManager displayPreferences, ILogger<UserPreferencesService> logger)
+    {
+        _displayPreferences = displayPreferences;
+        _logger = logger;
+    }
+
+    public enum PreferenceKind
+    {
+        Bool,
+        Limit,
+        FlagStyle,
+    }
+
+    /// <summary>
+    /// The user's overrides (only known keys with valid values).
+    /// </summary>
+    public IReadOnlyDictionary<string, string> Get(Guid userId)
+    {
+        var result = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        if (userId == Guid.Empty)
+        {
+            return result;
+        }
+
+        try
+        {
+            var stored = _displayPreferences.ListCustomItemDisplayPreferences(userId, PreferencesItemId, Client);
+            foreach (var kv in stored)
+            {
+                var value = Normalize(kv.Key, kv.Value);
+                if (value != null)
+                {
+                    result[CanonicalKey(kv.Key)] = value;
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to read ActorPlus preferences for user {UserId}", userId);
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Replaces the user's overrides. Unknown keys and invalid values are dropped; null/empty clears a key.
+    /// </summary>
+    public IReadOnlyDictionary<string, string> Set(Guid userId, IDictionary<string, string?> overrides)
+    {
+        var clean = new Dictionary<string, string?>(StringComparer.OrdinalIgnoreCase);
+        foreach (var kv in overrides)
+        {
+            var value = Normalize(kv.Key, kv.Value);
+            if (value != null)
+            {
+                clean[CanonicalKey(kv.Key)] = value;
+            }
+        }
+
+        // Write every known key so cleared ones are removed too.
+        var all = OverridableKeys.Keys.ToDictionary(k => k, k => clean.TryGetValue(k, out var v) ? v : null);
+        _displayPreferences.SetCustomItemDisplayPreferences(userId, PreferencesItemId, Client, all);
+        _displayPreferences.SaveChanges();
+
+        return clean.ToDictionary(kv => kv.Key, kv => kv.Value!, StringComparer.OrdinalIgnoreCase);
+    }
+
+    // The server value caps the override: a user can switch a feature off, not on.
+    public static bool GetCappedBool(IReadOnlyDictionary<string, string> prefs, string key, bool serverValue)
+    {
+        return serverValue && (!prefs.TryGetValue(key, out var v) || !bool.TryParse(v, out var b) || b);
+    }
+
+    // Overrides may lower a limit but not raise it above the server value.
+    public static int GetCappedInt(IReadOnlyDictionary<string, string> prefs, string key, int serverValue)
+    {
+        return prefs.TryGetValue(key, out var v) && int.TryParse(v, NumberStyles.Integer, CultureInfo.InvariantCulture, out var i)
+            ? Math.Min(i, serverValue)
+            : serverValue;
+    }
+
+    public static string GetString(IReadOnlyDictionary<string, string> prefs, string key, string fallback)
+    {
+        return prefs.TryGetValue(key, out var v) && !string.IsNullOrEmpty(v) ? v : fallback;
+    }
+
+    public static string NormalizeFlagStyle(string? style)
+    {
+        var s = (style ?? string.Empty).Trim().ToLowerInvariant();
+        return s is "twemoji" or "emoji" or "rounded" or "circle" or "iso" ? s : "twemoji";
+    }
+
+    private static string CanonicalKey(string key)
+    {
+        return OverridableKeys.Keys.First(k => string.Equals(k, key, StringComparison.OrdinalIgnoreCase));
+    }
+
+    // Returns the stored form of a value, or null when the key is unknown or the value is empty/invalid.
+    private static string? Normalize(string key, string? value)
+    {
+        if (!OverridableKeys.TryGetValue(key, out var kind) || string.IsNullOrWhiteSpace(value))
+        {
+            return null;
+        }
+
+        var v = value.Trim();
+        switch (kind)
+        {
+            case PreferenceKind.Bool:
+                return bool.TryParse(v, out var b) ? (b ? "true" : "false") : null;
+            case PreferenceKind.Limit:
+                return int.TryParse(v, NumberStyles.Integer, CultureInfo.InvariantCulture, out var i)
+                    ? Math.Clamp(i, 1, 100).ToString(CultureInfo.InvariantCulture)
+                    : null;
+            case PreferenceKind.FlagStyle:
+                var s = v.ToLowerInvariant();
+                return s == NormalizeFlagStyle(s) ? s : null;
+            default:
+                return null;
+        }
+    }
+}
@@ -7,8 +7,16 @@
  *
  * This build adds SAFE support for virtualized / recycled DOM items:
  * - We DO NOT observe global attribute changes (can freeze the UI)
- * - Instead we run a throttled periodic rescan + scroll-debounced rescan
+ * - Added nodes are only registered with an IntersectionObserver (no layout work)
+ * - Cards are resolved (person check + id) only when they enter the viewport
+ * - Visible cards are re-checked on scroll/resize to catch recycled nodes
  * - Each element tracks its last seen personId; when it changes we update badge
+ * - Person data is persisted in IndexedDB (per server + user) and revalidated
+ *   at startup through a single /ActorPlus/changes delta call
+ * - Config changes are pushed over /ActorPlus/events (SSE); every feature can be
+ *   mounted and unmounted at runtime without a page reload
+ * - A small public API (window.ActorPlus) lets themes/scripts reuse the data
+ *   and add their own badges; see "Public API" below and README.md
  */
 
 (function () {
@@ -16,15 +24,21 @@
 
   const API_STATUS = '/ActorPlus/status';
   const API_BATCH  = '/ActorPlus/ages';
+  const API_CHANGES = '/ActorPlus/changes';
+  const API_EVENTS = '/ActorPlus/events';
+  const API_BIRTHDAYS = '/ActorPlus/birthdays';
+  const API_SERIES = '/ActorPlus/series/';
 
   // Where person portraits appear in Jellyfin Web
   const TARGET_SELECTORS = ['a.cardImageContainer', 'a.cardImageContainer-withZoom', '.listItemImage'].join(',');
 
   // Scan strategy (kept intentionally conservative to avoid UI stalls)
-  const PERIODIC_SCAN_MS = 1200;   // catches virtualized lists that recycle elements
+  const VISIBLE_RECHECK_MS = 1500; // re-check only on-screen cards (catches recycled nodes without scrolling)
   const SCROLL_DEBOUNCE_MS = 180;  // quicker reaction when user scrolls
+  const VIEWPORT_MARGIN = '200px 0px'; // resolve cards slightly before they become visible
+  const PEOPLE_SECTION_SELECTOR = '#castContent, #cast, .castContent, .cast, .peopleSection, .detailsCast, .itemDetailsCast';
 
-  // id -> string|null (cached)
+  // id -> age in years as a string (display text comes from formatAge)
   const ageCache = new Map();
 
   // id -> "YYYY-MM-DD" (birth date from API)
@@ -36,6 +50,9 @@
   // id -> birthplace string (from API)
   const birthPlaceCache = new Map();
 
+  // id -> "YYYY-MM-DD" (death date from API)
+  const deathDateCache = new Map();
+
   // id -> bool (from API); presence in map means we already know deceased status
   const deceasedCache = new Map();
 
@@ -45,30 +62,52 @@
   // element -> last normalized id (prevents stale overlays on recycled nodes)
   const elementId = new WeakMap();
 
-  // queue / batch request
-  const queued = new Set();
+  // queue / batch request: id -> priority (lower = sooner)
+  const queued = new Map();
   let flushTimer = null;
   let enabled = null;
+  let showAgeAtDeath = true;
   let showAgeAtRelease = true;
   let showAgeIcons = false;
   let showBirthCountryFlag = true;
   let showBirthPlaceText = false;
   let showDeceasedOverlay = false;
+  let highlightBirthdays = false;
+  let highlightMemorials = false;
+  let highlightWindowDays = 0;
   let enableHoverFilmography = false;
   let hoverFilmographyLimit = 12;
   let randomizeHoverFilmography = false;
   let enableHoverCastMenu = false;
   let hoverCastLimit = 12;
+  let hoverCastCrewTypes = ['Director', 'Writer'];
+  let aggregateSeriesCast = true;
+  let showBornThisWeekRow = false;
+  let showCastAgeTimeline = false;
+  let showCastSummary = false;
+  let showCareerTimeline = false;
   let statusLoadedAt = 0;
   const STATUS_TTL_MS = 10000;
+  const STATUS_POLL_MS = 60000;   // only used when the events stream is unavailable
 
-  // Twemoji flag SVG base (same idea as multi_tag.js)
-  const TWEMOJI_FLAG_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/twemoji/14.0.2/svg/';
-  const twemojiUrlCache = new Map();
+  // Flags are bundled with the plugin (AssetsController: /ActorPlus/assets/flags/{set}/{iso2}.svg).
+  // Resolve the asset base from our own <script src>, so BaseUrl setups keep working.
+  const FLAG_STYLES = ['twemoji', 'emoji', 'rounded', 'circle', 'iso'];
+  let flagStyle = 'twemoji';
+  let assetsBase = (function () {
+    try {
+      const src = document.currentScript && document.currentScript.src;
+      if (src) return src.replace(/birthage\.js(?:[?#].*)?$/, '');
+    } catch {}
+    return null;
+  })();
+  const flagUrlCache = new Map();
 
   // Current context (movie/series page) premiere date. Used for "age at release" badge.
   let contextItemId = null;           // normalized id
   let contextPremiereUtc = null;      // Date (UTC Y-M-D)
+  let contextEndUtc = null;           // Date (UTC Y-M-D); only for Series pages -> age range over the run
+  let contextItemType = null;         // lower-case Jellyfin item type of the routed item
   let contextIsPerson = false;
 
   // Route id getter (assigned after ApiClient bootstrap)
@@ -82,27 +121,523 @@
   const TOUCH_COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes
   const TOUCH_MAX_PER_FLUSH = 25;
 
+  // /ActorPlus/ages scheduler: bounded chunks, visible cards first, exponential backoff on server errors.
+  // NET_CONCURRENCY is shared by age batches, cast-popup lookups and person "touch" calls.
+  const AGES_CHUNK_SIZE = 40;
+  const AGES_WORKERS = 2;
+  const NET_CONCURRENCY = 4;
+  const FLUSH_DELAY_MS = 120;
+  const RETRY_BASE_MS = 1000;
+  const RETRY_MAX_MS = 30000;
+  const PRIORITY_VISIBLE = 0;
+  const PRIORITY_BACKGROUND = 1;
+
+  // Persistent person cache (IndexedDB). One database per server + user, so switching accounts
+  // or servers never mixes data. Writes are batched into a single transaction.
+  const PERSIST_DB_PREFIX = 'ActorPlus_';
+  const PERSIST_DB_VERSION = 1;
+  const PERSIST_STORE = 'people';
+  const PERSIST_META_STORE = 'meta';
+  const PERSIST_FLUSH_MS = 800;
+  const PERSIST_OPEN_TIMEOUT_MS = 1500;
+  const SYNC_MAX_PAGES = 10;
+  let persistDbPromise = null;        // Promise<IDBDatabase|null>
+  const persistPending = new Map();   // id -> record
+  let persistTimer = null;
+
   // scanning throttle
   let scanScheduled = false;
   let scrollTimer = null;
+  const pendingScanRoots = new Set();
+
+  // Viewport tracking: candidate elements are observed once, resolved only while visible
+  let viewportObserver = null;
+  let observedEls = new WeakSet();
+  const visibleEls = new Set();
+
+  // ===== Localization =====
+  // Messages keyed by language (from the Jellyfin UI culture). Plural messages are objects keyed by
+  // Intl.PluralRules category; {0}, {1}... are positional arguments. Missing keys fall back to English.
+  const STRINGS = {
+    en: {
+      age: { one: '{0} y', other: '{0} y' },
+      today: 'today',
+      tomorrow: 'tomorrow',
+      inDays: { one: 'in {0} day', other: 'in {0} days' },
+      turnsWhen: '🎉 turns {0} {1}',
+      wouldBeWhen: '🕯 would be {0} {1}',
+      memorialToday: { one: '🕯 {0} year ago today', other: '🕯 {0} years ago today' },
+      memorialWhen: { one: '🕯 {0} year {1}', other: '🕯 {0} years {1}' },
+      bornThisWeek: 'Born this week',
+      bornToday: 'Born today',
+      bornNextDays: { one: 'Birthdays in the next {0} day', other: 'Birthdays in the next {0} days' },
+      filmography: 'Filmography',
+      filmographyOf: 'Filmography: {0}',
+      cast: 'Cast',
+      castOf: 'Cast: {0}',
+      shownOf: 'Shown {0} of {1}',
+      random: 'random',
+      limited: 'limited',
+      nothingFound: 'Nothing found in the library.',
+      noCast: 'No cast data.',
+      loading: 'Loading…',
+      movie: 'Movie',
+      series: 'Series',
+      posthumous: 'posthumous',
+      episodesCount: { one: '{0} episode', other: '{0} episodes' },
+      seasonOne: 'Season {0}',
+      seasonSpan: 'Seasons {0}–{1}',
+      showEpisodes: 'Show episodes',
+      hideEpisodes: 'Hide episodes',
+      asCharacter: 'as {0}',
+      tabAll: 'All ({0})',
+      countSoFar: '{0}+',
+      countsSoFar: 'Counts cover the titles loaded so far',
+      roleTab: '{0} ({1})',
+      roleActor: 'Actor',
+      roleGuestStar: 'Guest star',
+      roleDirector: 'Director',
+      roleWriter: 'Writer',
+      roleProducer: 'Producer',
+      roleComposer: 'Composer',
+      filterAll: 'All',
+      filterUnwatched: 'Unwatched',
+      filterInProgress: 'In progress',
+      played: 'Watched',
+      favorite: 'Favourite',
+      unplayedCount: { one: '{0} unplayed', other: '{0} unplayed' },
+      progressPct: '{0}% watched',
+      a11yAge: 'age {0}',
+      a11yAtRelease: '{0} at release',
+      a11yBornIn: 'born in {0}',
+      a11yDeceased: 'deceased',
+      castAtRelease: '{0} at release',
+      castNow: 'now {0}',
+      searchTitles: 'Search titles',
+      sortBy: 'Sort by',
+      sort_random: 'Random',
+      sort_year: 'Year',
+      sort_name: 'Name',
+      sort_rating: 'Rating',
+      sort_added: 'Date added',
+      ageTimeline: 'Cast ages',
+      ageAtRelease: 'Age at release',
+      ageNowOrAtDeath: 'Age today / at death',
+      summaryMedian: 'median age at release {0}',
+      summaryRange: 'range {0}',
+      summaryDeceased: { one: '{0} deceased', other: '{0} deceased' },
+      unknownCountry: 'Unknown birth country',
+      careerTimeline: 'Career timeline',
+      careerTitles: { one: '{0} title', other: '{0} titles' },
+      careerUndated: { one: '{0} without date', other: '{0} without date' },
+      careerGap: '{0}–{1}: no titles for {2}',
+      careerBorn: 'Born {0}',
+      careerDied: 'Died {0}, aged {1}',
+      prefsTitle: 'ActorPlus',
+      prefsHint: 'These settings apply to your account only. "Default" follows the server settings; features the server turned off can\'t be turned on here.',
+      prefOffOnServer: 'Off (disabled on the server)',
+      prefsReset: 'Reset to server defaults',
+      prefsSaved: 'Saved',
+      prefsSaveFailed: 'Could not save settings',
+      prefDefault: 'Default ({0})',
+      on: 'On',
+      off: 'Off',
+      flagStyle_twemoji: 'Twemoji',
+      flagStyle_emoji: 'Emoji',
+      flagStyle_rounded: 'Rounded',
+      flagStyle_circle: 'Circle',
+      flagStyle_iso: 'ISO code',
+      prefShowAgeAtRelease: 'Age at release',
+      prefShowAgeIcons: '🎂/🎬 icons next to ages',
+      prefShowBirthCountryFlag: 'Birth country flag',
+      prefShowBirthPlaceText: 'Birthplace text',
+      prefFlagStyle: 'Flag style',
+      prefShowDeceasedOverlay: 'Mark deceased people',
+      prefHighlightBirthdays: 'Highlight upcoming birthdays',
+      prefHighlightMemorials: 'Mark death anniversaries',
+      prefShowBornThisWeekRow: '"Born this week" row on the home screen',
+      prefShowCastAgeTimeline: 'Cast age chart on details pages',
+      prefShowCastSummary: 'Cast summary (ages, countries) on details pages',
+      prefShowCareerTimeline: 'Career timeline on person pages',
+      prefEnableHoverFilmography: 'Filmography popup on hover',
+      prefHoverFilmographyLimit: 'Filmography items limit',
+      prefRandomizeHoverFilmography: 'Random filmography sample',
+      prefEnableHoverCastMenu: 'Cast popup on poster hover',
+      prefHoverCastLimit: 'Cast items limit'
+    },
+    ru: {
+      age: { one: '{0} год', few: '{0} года', many: '{0} лет', other: '{0} года' },
+      today: 'сегодня',
+      tomorrow: 'завтра',
+      inDays: { one: 'через {0} день', few: 'через {0} дня', many: 'через {0} дней', other: 'через {0} дня' },
+      turnsWhen: '🎉 {1} исполнится {0}',
+      wouldBeWhen: '🕯 {1} исполнилось бы {0}',
+      memorialToday: { one: '🕯 {0} год назад', few: '🕯 {0} года назад', many: '🕯 {0} лет назад', other: '🕯 {0} года назад' },
+      memorialWhen: { one: '🕯 {1}: {0} год', few: '🕯 {1}: {0} года', many: '🕯 {1}: {0} лет', other: '🕯 {1}: {0} года' },
+      bornThisWeek: 'Родились на этой неделе',
+      bornToday: 'Родились сегодня',
+      bornNextDays: { one: 'Дни рождения в ближайший {0} день', few: 'Дни рождения в ближайшие {0} дня', many: 'Дни рождения в ближайшие {0} дней', other: 'Дни рождения в ближайшие {0} дня' },
+      filmography: 'Фильмография',
+      filmographyOf: 'Фильмография: {0}',
+      cast: 'В ролях',
+      castOf: 'В ролях: {0}',
+      shownOf: 'Показано {0} из {1}',
+      random: 'случайно',
+      limited: 'ограничено',
+      nothingFound: 'В библиотеке ничего не найдено.',
+      noCast: 'Нет данных об актёрах.',
+      loading: 'Загрузка…',
+      movie: 'Фильм',
+      series: 'Сериал',
+      posthumous: 'посмертно',
+      episodesCount: { one: '{0} эпизод', few: '{0} эпизода', many: '{0} эпизодов', other: '{0} эпизода' },
+      seasonOne: 'Сезон {0}',
+      seasonSpan: 'Сезоны {0}–{1}',
+      showEpisodes: 'Показать эпизоды',
+      hideEpisodes: 'Скрыть эпизоды',
+      asCharacter: 'роль: {0}',
+      tabAll: 'Все ({0})',
+      countSoFar: '{0}+',
+      countsSoFar: 'Учтены только уже загруженные работы',
+      roleTab: '{0} ({1})',
+      roleActor: 'Актёр',
+      roleGuestStar: 'Приглашённая звезда',
+      roleDirector: 'Режиссёр',
+      roleWriter: 'Сценарист',
+      roleProducer: 'Продюсер',
+      roleComposer: 'Композитор',
+      filterAll: 'Все',
+      filterUnwatched: 'Не просмотрено',
+      filterInProgress: 'Начато',
+      played: 'Просмотрено',
+      favorite: 'Избранное',
+      unplayedCount: { one: '{0} не просмотрен', few: '{0} не просмотрено', many: '{0} не просмотрено', other: '{0} не просмотрено' },
+      progressPct: 'Просмотрено {0}%',
+      a11yAge: 'возраст {0}',
+      a11yAtRelease: 'на момент выхода {0}',
+      a11yBornIn: 'место рождения: {0}',
+      a11yDeceased: 'умер(ла)',
+      castAtRelease: 'на момент выхода {0}',
+      castNow: 'сейчас {0}',
+      searchTitles: 'Поиск по названию',
+      sortBy: 'Сортировка',
+      sort_random: 'Случайно',
+      sort_year: 'По году',
+      sort_name: 'По названию',
+      sort_rating: 'По рейтингу',
+      sort_added: 'По дате добавления',
+      ageTimeline: 'Возраст актёров',
+      ageAtRelease: 'Возраст на момент выхода',
+      ageNowOrAtDeath: 'Возраст сейчас / на момент смерти',
+      summaryMedian: 'медианный возраст на момент выхода {0}',
+      summaryRange: 'разброс {0}',
+      summaryDeceased: { one: 'умерших: {0}', other: 'умерших: {0}' },
+      unknownCountry: 'Страна рождения неизвестна',
+      careerTimeline: 'Карьера',
+      careerTitles: { one: '{0} название', few: '{0} названия', many: '{0} названий', other: '{0} названия' },
+      careerUndated: { one: '{0} без даты', other: '{0} без даты' },
+      careerGap: '{0}–{1}: перерыв {2}',
+      careerBorn: 'Родился(-ась) {0}',
+      careerDied: 'Умер(ла) {0}, в возрасте {1}',
+      prefsTitle: 'ActorPlus',
+      prefsHint: 'Эти настройки действуют только для вашей учётной записи. «По умолчанию» — как на сервере; функции, отключённые на сервере, здесь включить нельзя.',
+      prefOffOnServer: 'Выкл. (отключено на сервере)',
+      prefsReset: 'Сбросить к настройкам сервера',
+      prefsSaved: 'Сохранено',
+      prefsSaveFailed: 'Не удалось сохранить настройки',
+      prefDefault: 'По умолчанию ({0})',
+      on: 'Вкл.',
+      off: 'Выкл.',
+      flagStyle_twemoji: 'Twemoji',
+      flagStyle_emoji: 'Эмодзи',
+      flagStyle_rounded: 'Скруглённый',
+      flagStyle_circle: 'Круглый',
+      flagStyle_iso: 'Код ISO',
+      prefShowAgeAtRelease: 'Возраст на момент выхода',
+      prefShowAgeIcons: 'Значки 🎂/🎬 рядом с возрастом',
+      prefShowBirthCountryFlag: 'Флаг страны рождения',
+      prefShowBirthPlaceText: 'Место рождения текстом',
+      prefFlagStyle: 'Стиль флагов',
+      prefShowDeceasedOverlay: 'Отмечать умерших',
+      prefHighlightBirthdays: 'Выделять ближайшие дни рождения',
+      prefHighlightMemorials: 'Отмечать годовщины смерти',
+      prefShowBornThisWeekRow: 'Строка «Родились на этой неделе» на главной',
+      prefShowCastAgeTimeline: 'Диаграмма возраста актёров на странице фильма',
+      prefShowCastSummary: 'Сводка по актёрам (возраст, страны) на странице фильма',
+      prefShowCareerTimeline: 'Хронология карьеры на странице персоны',
+      prefEnableHoverFilmography: 'Фильмография при наведении',
+      prefHoverFilmographyLimit: 'Лимит фильмографии',
+      prefRandomizeHoverFilmography: 'Случайная выборка фильмографии',
+      prefEnableHoverCastMenu: 'Актёры при наведении на постер',
+      prefHoverCastLimit: 'Лимит актёров'
+    },
+    de: {
+      age: { one: '{0} Jahr', other: '{0} Jahre' },
+      today: 'heute',
+      tomorrow: 'morgen',
+      inDays: { one: 'in {0} Tag', other: 'in {0} Tagen' },
+      turnsWhen: '🎉 wird {1} {0}',
+      wouldBeWhen: '🕯 wäre {1} {0} geworden',
+      memorialToday: { one: '🕯 heute vor {0} Jahr', other: '🕯 heute vor {0} Jahren' },
+      memorialWhen: { one: '🕯 {1}: {0} Jahr', other: '🕯 {1}: {0} Jahre' },
+      bornThisWeek: 'Diese Woche geboren',
+      bornToday: 'Heute geboren',
+      bornNextDays: { one: 'Geburtstage am nächsten {0} Tag', other: 'Geburtstage in den nächsten {0} Tagen' },
+      filmography: 'Filmografie',
+      filmographyOf: 'Filmografie: {0}',
+      cast: 'Besetzung',
+      castOf: 'Besetzung: {0}',
+      shownOf: '{0} von {1} angezeigt',
+      random: 'zufällig',
+      limited: 'begrenzt',
+      nothingFound: 'Nichts in der Bibliothek gefunden.',
+      noCast: 'Keine Besetzungsdaten.',
+      loading: 'Wird geladen…',
+      movie: 'Film',
+      series: 'Serie',
+      posthumous: 'postum',
+      episodesCount: { one: '{0} Folge', other: '{0} Folgen' },
+      seasonOne: 'Staffel {0}',
+      seasonSpan: 'Staffeln {0}–{1}',
+      showEpisodes: 'Folgen anzeigen',
+      hideEpisodes: 'Folgen ausblenden',
+      asCharacter: 'als {0}',
+      tabAll: 'Alle ({0})',
+      countSoFar: '{0}+',
+      countsSoFar: 'Gezählt sind nur die bisher geladenen Titel',
+      roleTab: '{0} ({1})',
+      roleActor: 'Darsteller',
+      roleGuestStar: 'Gaststar',
+      roleDirector: 'Regie',
+      roleWriter: 'Drehbuch',
+      roleProducer: 'Produktion',
+      roleComposer: 'Musik',
+      filterAll: 'Alle',
+      filterUnwatched: 'Ungesehen',
+      filterInProgress: 'Angefangen',
+      played: 'Gesehen',
+      favorite: 'Favorit',
+      unplayedCount: { one: '{0} ungesehen', other: '{0} ungesehen' },
+      progressPct: '{0} % gesehen',
+      a11yAge: 'Alter {0}',
+      a11yAtRelease: 'bei Erscheinen {0}',
+      a11yBornIn: 'geboren in {0}',
+      a11yDeceased: 'verstorben',
+      castAtRelease: 'bei Erscheinen {0}',
+      castNow: 'heute {0}',
+      searchTitles: 'Titel suchen',
+      sortBy: 'Sortieren nach',
+      sort_random: 'Zufällig',
+      sort_year: 'Jahr',
+      sort_name: 'Name',
+      sort_rating: 'Bewertung',
+      sort_added: 'Hinzugefügt am',
+      ageTimeline: 'Alter der Besetzung',
+      ageAtRelease: 'Alter bei Erscheinen',
+      ageNowOrAtDeath: 'Alter heute / beim Tod',
+      summaryMedian: 'Medianalter bei Erscheinen {0}',
+      summaryRange: 'Spanne {0}',
+      summaryDeceased: { one: '{0} verstorben', other: '{0} verstorben' },
+      unknownCountry: 'Geburtsland unbekannt',
+      careerTimeline: 'Karriereverlauf',
+      careerTitles: { one: '{0} Titel', other: '{0} Titel' },
+      careerUndated: { one: '{0} ohne Datum', other: '{0} ohne Datum' },
+      careerGap: '{0}–{1}: {2} ohne Titel',
+      careerBorn: 'Geboren am {0}',
+      careerDied: 'Gestorben am {0} im Alter von {1}',
+      prefsTitle: 'ActorPlus',
+      prefsHint: 'Diese Einstellungen gelten nur für dein Konto. „Standard“ folgt den Servereinstellungen; auf dem Server deaktivierte Funktionen lassen sich hier nicht einschalten.',
+      prefOffOnServer: 'Aus (auf dem Server deaktiviert)',
+      prefsReset: 'Auf Serverstandard zurücksetzen',
+      prefsSaved: 'Gespeichert',
+      prefsSaveFailed: 'Einstellungen konnten nicht gespeichert werden',
+      prefDefault: 'Standard ({0})',
+      on: 'An',
+      off: 'Aus',
+      flagStyle_twemoji: 'Twemoji',
+      flagStyle_emoji: 'Emoji',
+      flagStyle_rounded: 'Abgerundet',
+      flagStyle_circle: 'Rund',
+      flagStyle_iso: 'ISO-Code',
+      prefShowAgeAtRelease: 'Alter bei Erscheinen',
+      prefShowAgeIcons: '🎂/🎬-Symbole neben dem Alter',
+      prefShowBirthCountryFlag: 'Flagge des Geburtslandes',
+      prefShowBirthPlaceText: 'Geburtsort als Text',
+      prefFlagStyle: 'Flaggenstil',
+      prefShowDeceasedOverlay: 'Verstorbene markieren',
+      prefHighlightBirthdays: 'Anstehende Geburtstage hervorheben',
+      prefHighlightMemorials: 'Todestage markieren',
+      prefShowBornThisWeekRow: 'Zeile „Diese Woche geboren“ auf der Startseite',
+      prefShowCastAgeTimeline: 'Altersdiagramm der Besetzung auf Detailseiten',
+      prefShowCastSummary: 'Besetzungsübersicht (Alter, Länder) auf Detailseiten',
+      prefShowCareerTimeline: 'Karriereverlauf auf Personenseiten',
+      prefEnableHoverFilmography: 'Filmografie beim Überfahren',
+      prefHoverFilmographyLimit: 'Anzahl Filmografie-Einträge',
+      prefRandomizeHoverFilmography: 'Zufällige Filmografie-Auswahl',
+      prefEnableHoverCastMenu: 'Besetzung beim Überfahren von Postern',
+      prefHoverCastLimit: 'Anzahl Besetzungs-Einträge'
+    }
+  };
+
+  const intlCache = new Map(); // kind|locale -> Intl object
+
+  // Jellyfin Web sets <html lang> from the user's display language; fall back to the browser.
+  function getUiLocale() {
+    const candidates = [];
+    try { candidates.push(document.documentElement.getAttribute('lang')); } catch {}
+    try { candidates.push(...(navigator.languages || []), navigator.language); } catch {}
+    for (const c of candidates) {
+      const tag = String(c || '').trim().replace(/_/g, '-');
+      if (!tag) continue;
+      try {
+        return Intl.getCanonicalLocales(tag)[0];
+      } catch { /* invalid tag, try the next one */ }
+    }
+    return 'en';
+  }
+
+  function getIntl(kind, locale) {
+    const key = kind + '|' + locale;
+    let obj = intlCache.get(key);
+    if (obj) return obj;
+    try {
+      if (kind === 'plural') obj = new Intl.PluralRules(locale);
+      else if (kind === 'number') obj = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+      else if (kind === 'date') obj = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+      else if (kind === 'region' && typeof Intl.DisplayNames === 'function') obj = new Intl.DisplayNames([locale], { type: 'region' });
+    } catch {
+      obj = null;
+    }
+    if (obj) intlCache.set(key, obj);
+    return obj;
+  }
+
+  function lookupMessage(key) {
+    const lang = getUiLocale().split('-')[0].toLowerCase();
+    const table = STRINGS[lang] || STRINGS.en;
+    return (key in table) ? table[key] : STRINGS.en[key];
+  }
+
+  function fillMessage(msg, args) {
+    return String(msg == null ? '' : msg).replace(/\{(\d+)\}/g, (m, i) => {
+      const v = args[parseInt(i, 10)];
+      return (v === null || v === undefined) ? '' : String(v);
+    });
+  }
+
+  // t('shownOf', 3, 10) -> "Shown 3 of 10"
+  function t(key, ...args) {
+    return fillMessage(lookupMessage(key), args);
+  }
+
+  function pluralMessage(key, count) {
+    const msg = lookupMessage(key);
+    if (!msg || typeof msg !== 'object') return msg;
+    const rules = getIntl('plural', getUiLocale());
+    let cat = 'other';
+    try { if (rules) cat = rules.select(count); } catch {}
+    return msg[cat] ?? msg.other;
+  }
+
+  // Plural message chosen by count; {0} is the locale-formatted count, {1}... are extra args.
+  function tp(key, count, ...args) {
+    return fillMessage(pluralMessage(key, count), [formatNumber(count), ...args]);
+  }
+
+  function formatNumber(n) {
+    const nf = getIntl('number', getUiLocale());
+    try { return nf ? nf.format(n) : String(n); } catch { return String(n); }
+  }
+
+  // "YYYY-MM-DD" or a UTC Y-M-D Date -> long localized date ("21 October 1980" / "21. Oktober 1980").
+  function formatDate(value) {
+    const d = (value instanceof Date) ? value : parseYmdToUtcDate(value);
+    if (!d) return '';
+    const df = getIntl('date', getUiLocale());
+    try { return df ? df.format(d) : toIsoYmd(d); } catch { return toIsoYmd(d); }
+  }
+
+  function toIsoYmd(d) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  // Localized country name for an ISO2 code (falls back to the code itself).
+  function countryName(iso2) {
+    const code = normalizeIso2(iso2);
+    if (!code) return '';
+    const dn = getIntl('region', getUiLocale());
+    try { return (dn && dn.of(code)) || code; } catch { return code; }
+  }
+
+  // Age badge text: formatAge(62) -> "62 y" / "62 года" / "62 Jahre".
+  function formatAge(years) {
+    const n = parseInt(years, 10);
+    return Number.isFinite(n) ? tp('age', n) : '';
+  }
+
+  // Age range (series run): plural form follows the last number, e.g. "34–41 год".
+  function formatAgeRange(from, to) {
+    return fillMessage(pluralMessage('age', to), [formatNumber(from) + '–' + formatNumber(to)]);
+  }
 
   // ===== Helpers =====
   function normalizeId(id) {
     return String(id || '').toLowerCase().replace(/-/g, '');
   }
 
-  function iso2ToTwemojiUrl(iso2) {
+  function normalizeIso2(iso2) {
     const code = String(iso2 || '').trim().toUpperCase();
-    if (!/^[A-Z]{2}$/.test(code)) return null;
-    const cached = twemojiUrlCache.get(code);
+    return /^[A-Z]{2}$/.test(code) ? code : null;
+  }
+
+  // Image URL for the current flag style, or null for text styles (emoji / iso).
+  function iso2ToFlagUrl(iso2) {
+    const code = normalizeIso2(iso2);
+    if (!code || !assetsBase) return null;
+    const set = (flagStyle === 'twemoji') ? 'twemoji' : ((flagStyle === 'rounded' || flagStyle === 'circle') ? 'square' : null);
+    if (!set) return null;
+
+    const key = set + '/' + code;
+    const cached = flagUrlCache.get(key);
     if (cached) return cached;
+    const url = assetsBase + 'flags/' + set + '/' + code.toLowerCase() + '.svg';
+    flagUrlCache.set(key, url);
+    return url;
+  }
 
+  function iso2ToEmoji(iso2) {
+    const code = normalizeIso2(iso2);
+    if (!code) return '';
     // Regional Indicator Symbol Letters: U+1F1E6 + (A..Z)
-    const a = 0x1F1E6 + (code.charCodeAt(0) - 65);
-    const b = 0x1F1E6 + (code.charCodeAt(1) - 65);
-    const url = TWEMOJI_FLAG_BASE + a.toString(16) + '-' + b.toString(16) + '.svg';
-    twemojiUrlCache.set(code, url);
-    return url;
+    return String.fromCodePoint(0x1F1E6 + (code.charCodeAt(0) - 65), 0x1F1E6 + (code.charCodeAt(1) - 65));
+  }
+
+  // Fills a flag holder element for the configured style. Returns false if the code is unusable.
+  function renderFlagInto(holder, iso2) {
+    const code = normalizeIso2(iso2);
+    if (!holder || !code) return false;
+
+    const key = flagStyle + ':' + code;
+    if (holder.getAttribute('data-flag-key') === key) return true;
+    holder.setAttribute('data-flag-key', key);
+    holder.setAttribute('data-iso2', code);
+    FLAG_STYLES.forEach(st => holder.classList.toggle('birthage-flag-style-' + st, st === flagStyle));
+    holder.innerHTML = '';
+
+    const url = iso2ToFlagUrl(code);
+    if (url) {
+      const img = document.createElement('img');
+      img.decoding = 'async';
+      img.alt = code;
+      img.src = url;
+      holder.appendChild(img);
+    } else {
+      const span = document.createElement('span');
+      span.className = (flagStyle === 'emoji') ? 'birthage-flag-emoji' : 'birthage-flag-iso';
+      span.textContent = (flagStyle === 'emoji') ? iso2ToEmoji(code) : code;
+      holder.appendChild(span);
+    }
+    return true;
   }
 
   function parseYmdToUtcDate(ymd) {
@@ -134,6 +669,155 @@
     return years;
   }
 
+  // Stores one /ActorPlus/ages record in the in-memory caches. Returns true if anything is known.
+  // With recomputeAge, the age is derived from the dates (persisted records can be months old).
+  // replace: rec is the server's full record (delta sync), so fields it no longer has are cleared here too.
+  function applyPersonRecord(id, rec, recomputeAge, replace) {
+    if (!id || !rec) return false;
+
+    if (replace) {
+      for (const cache of [ageCache, birthDateCache, deathDateCache, birthCountryIso2Cache, birthPlaceCache, deceasedCache]) cache.delete(id);
+    }
+
+    const birth = rec.BirthDate ?? rec.birthDate;
+    if (birth) birthDateCache.set(id, String(birth).trim());
+
+    const death = rec.DeathDate ?? rec.deathDate;
+    if (death) deathDateCache.set(id, String(death).trim());
+
+    const iso2 = rec.BirthCountryIso2 ?? rec.birthCountryIso2;
+    if (iso2) birthCountryIso2Cache.set(id, String(iso2).trim());
+
+    const place = rec.BirthPlace ?? rec.birthPlace;
+    if (place) birthPlaceCache.set(id, String(place).trim());
+
+    // Cache deceased status (presence in map means "known")
+    const decRaw = rec.IsDeceased ?? rec.isDeceased;
+    if (decRaw !== null && decRaw !== undefined) {
+      deceasedCache.set(id, !!decRaw);
+    }
+
+    let ageTextRaw = rec.AgeText ?? rec.ageText ?? rec.AgeYears ?? rec.ageYears;
+    if (recomputeAge && birth) {
+      const birthUtc = parseYmdToUtcDate(birth);
+      const deathUtc = parseYmdToUtcDate(rec.DeathDate ?? rec.deathDate);
+      const refUtc = (showAgeAtDeath && deathUtc) ? deathUtc : toUtcYmd(new Date());
+      const years = computeAgeAtUtc(birthUtc, refUtc);
+      if (years != null) ageTextRaw = years;
+    }
+    const n = (ageTextRaw != null) ? String(ageTextRaw).trim() : '';
+
+    // IMPORTANT: don't "poison" the cache with null permanently.
+    // If metadata appears later (e.g. after a Person item is materialized), we want a chance to re-fetch.
+    if (n) ageCache.set(id, n);
+
+    // Restored (persisted) records are announced once through the 'ready' event instead.
+    if (!recomputeAge) emitApiEvent('personupdated', { id: id, person: getPersonSnapshot(id) });
+
+    return ageCache.has(id) || birthDateCache.has(id) || birthCountryIso2Cache.has(id) || birthPlaceCache.has(id) || deceasedCache.has(id);
+  }
+
+  function toPersistRecord(id, rec) {
+    return {
+      id: id,
+      BirthDate: rec.BirthDate ?? rec.birthDate ?? null,
+      DeathDate: rec.DeathDate ?? rec.deathDate ?? null,
+      BirthPlace: rec.BirthPlace ?? rec.birthPlace ?? null,
+      BirthCountryIso2: rec.BirthCountryIso2 ?? rec.birthCountryIso2 ?? null,
+      IsDeceased: rec.IsDeceased ?? rec.isDeceased ?? null,
+      AgeText: rec.AgeText ?? rec.ageText ?? null
+    };
+  }
+
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openPersistDb(scope) {
+    if (persistDbPromise) return persistDbPromise;
+    persistDbPromise = new Promise(resolve => {
+      try {
+        if (!scope || typeof window.indexedDB === 'undefined') { resolve(null); return; }
+        const req = window.indexedDB.open(PERSIST_DB_PREFIX + scope, PERSIST_DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(PERSIST_STORE)) db.createObjectStore(PERSIST_STORE, { keyPath: 'id' });
+          if (!db.objectStoreNames.contains(PERSIST_META_STORE)) db.createObjectStore(PERSIST_META_STORE);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+        // Private mode / broken profiles can leave open() pending forever.
+        setTimeout(() => resolve(null), PERSIST_OPEN_TIMEOUT_MS);
+      } catch {
+        resolve(null);
+      }
+    });
+    return persistDbPromise;
+  }
+
+  async function loadPersistedRecords() {
+    const db = await (persistDbPromise || Promise.resolve(null));
+    if (!db) return [];
+    try {
+      const tx = db.transaction(PERSIST_STORE, 'readonly');
+      const all = await idbRequest(tx.objectStore(PERSIST_STORE).getAll());
+      return Array.isArray(all) ? all : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async function getPersistMeta(key) {
+    const db = await (persistDbPromise || Promise.resolve(null));
+    if (!db) return null;
+    try {
+      const tx = db.transaction(PERSIST_META_STORE, 'readonly');
+      const v = await idbRequest(tx.objectStore(PERSIST_META_STORE).get(key));
+      return v ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function setPersistMeta(key, value) {
+    const db = await (persistDbPromise || Promise.resolve(null));
+    if (!db) return;
+    try {
+      const tx = db.transaction(PERSIST_META_STORE, 'readwrite');
+      tx.objectStore(PERSIST_META_STORE).put(value, key);
+    } catch {
+      // ignore
+    }
+  }
+
+  function persistRecord(id, rec) {
+    if (!id || !rec || !persistDbPromise) return;
+    persistPending.set(id, toPersistRecord(id, rec));
+    if (persistTimer) return;
+    persistTimer = setTimeout(flushPersisted, PERSIST_FLUSH_MS);
+  }
+
+  async function flushPersisted() {
+    persistTimer = null;
+    if (!persistPending.size) return;
+    const batch = Array.from(persistPending.values());
+    persistPending.clear();
+
+    const db = await (persistDbPromise || Promise.resolve(null));
+    if (!db) return;
+    try {
+      const tx = db.transaction(PERSIST_STORE, 'readwrite');
+      const store = tx.objectStore(PERSIST_STORE);
+      for (const rec of batch) store.put(rec);
+    } catch {
+      // quota / closed database: the in-memory caches still work
+    }
+  }
+
   function extractItemIdFromBg(el) {
     if (!el) return null;
     const inline = el.getAttribute && (el.getAttribute('style') || '');
@@ -181,7 +865,7 @@
     if (!a || a.tagName !== 'A') return false;
 
     // Most reliable signal: the element lives inside the cast/people section of a details page.
-    if (a.closest('#castContent, #cast, .castContent, .cast, .peopleSection, .detailsCast, .itemDetailsCast')) {
+    if (a.closest(PEOPLE_SECTION_SELECTOR)) {
       return true;
     }
 
@@ -242,6 +926,57 @@
     if (el && el.parentNode) el.parentNode.removeChild(el);
   }
 
+  // Screen readers: the badges above are aria-hidden; one visually hidden description
+  // ("age 62, born in Canada, deceased") is attached to the portrait via aria-describedby.
+  // The span is aria-hidden so it never joins the link's accessible name (describedby still reads
+  // hidden text), and the description goes on the focusable element: on a plain div it is ignored.
+  let srIdSeq = 0;
+  const A11Y_FOCUSABLE = 'a[href], button, [tabindex]';
+
+  function a11yDescribedElement(container) {
+    if (container.matches && container.matches(A11Y_FOCUSABLE)) return container;
+    return (container.closest && container.closest(A11Y_FOCUSABLE)) || container;
+  }
+
+  function setA11yDescription(container, text) {
+    if (!container) return;
+    let sr = container.querySelector(':scope > .birthage-sr');
+    if (!text) {
+      removeA11yDescription(container);
+      return;
+    }
+    if (!sr) {
+      sr = document.createElement('span');
+      sr.className = 'birthage-sr';
+      sr.id = 'birthage-sr-' + (++srIdSeq);
+      sr.setAttribute('aria-hidden', 'true');
+      container.appendChild(sr);
+    }
+    if (sr.textContent !== text) sr.textContent = text;
+
+    const target = a11yDescribedElement(container);
+    const ids = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!ids.includes(sr.id)) target.setAttribute('aria-describedby', ids.concat(sr.id).join(' '));
+  }
+
+  function removeA11yDescription(container) {
+    if (!container) return;
+    const sr = container.querySelector && container.querySelector(':scope > .birthage-sr');
+    if (!sr) return;
+    const target = a11yDescribedElement(container);
+    const ids = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(x => x && x !== sr.id);
+    if (ids.length) target.setAttribute('aria-describedby', ids.join(' '));
+    else target.removeAttribute('aria-describedby');
+    sr.remove();
+  }
+
+  function removeHighlight(container) {
+    if (!container) return;
+    const el = container.querySelector && container.querySelector(':scope > .birthage-highlight');
+    if (el && el.parentNode) el.parentNode.removeChild(el);
+    container.classList.remove('birthage-has-birthday', 'birthage-has-memorial');
+  }
+
   function removeBirthplaceLine(container) {
     if (!container) return;
     const el = container.querySelector && container.querySelector(':scope > .birthage-birthplace');
@@ -287,6 +1022,7 @@
     if (!badge) {
       badge = document.createElement('div');
       badge.className = 'birthage-release-badge';
+      badge.setAttribute('aria-hidden', 'true');
       container.appendChild(badge);
     }
 
@@ -310,9 +1046,7 @@
   }
 
   function ensureFlag(container, iso2) {
-    if (!container || !iso2) return;
-    const url = iso2ToTwemojiUrl(iso2);
-    if (!url) return;
+    if (!container || !normalizeIso2(iso2)) return;
 
     if (!container.classList.contains('birthage-container')) {
       container.classList.add('birthage-container');
@@ -326,26 +1060,15 @@
     if (!wrapper) {
       wrapper = document.createElement('div');
       wrapper.className = 'birthage-flag';
-      const img = document.createElement('img');
-      img.decoding = 'async';
-      img.alt = iso2;
-      wrapper.appendChild(img);
+      wrapper.setAttribute('aria-hidden', 'true');
       container.appendChild(wrapper);
     }
 
-    const img = wrapper.querySelector('img');
-    if (img) {
-      if (img.getAttribute('data-iso2') !== String(iso2).toUpperCase()) {
-        img.setAttribute('data-iso2', String(iso2).toUpperCase());
-        img.src = url;
-      }
-    }
+    renderFlagInto(wrapper, iso2);
   }
 
   function ensureBirthplaceLine(container, iso2, placeText) {
-    if (!container || !iso2 || !placeText) return;
-    const url = iso2ToTwemojiUrl(iso2);
-    if (!url) return;
+    if (!container || !normalizeIso2(iso2) || !placeText) return;
 
     if (!container.classList.contains('birthage-container')) {
       container.classList.add('birthage-container');
@@ -359,30 +1082,22 @@
     if (!wrapper) {
       wrapper = document.createElement('div');
       wrapper.className = 'birthage-birthplace';
+      wrapper.setAttribute('aria-hidden', 'true');
 
-      const img = document.createElement('img');
-      img.decoding = 'async';
-      img.alt = String(iso2).toUpperCase();
+      const flag = document.createElement('span');
+      flag.className = 'birthage-birthplace-flag';
 
       const span = document.createElement('span');
       span.className = 'birthage-birthplace-text';
 
-      wrapper.appendChild(img);
+      wrapper.appendChild(flag);
       wrapper.appendChild(span);
       container.appendChild(wrapper);
     }
 
-    const img = wrapper.querySelector('img');
-    if (img) {
-      const code = String(iso2).toUpperCase();
-      if (img.getAttribute('data-iso2') !== code) {
-        img.setAttribute('data-iso2', code);
-        img.alt = code;
-        img.src = url;
-      }
-    }
+    renderFlagInto(wrapper.querySelector('.birthage-birthplace-flag'), iso2);
 
-    const span = wrapper.querySelector('span');
+    const span = wrapper.querySelector('.birthage-birthplace-text');
     if (span) {
       const t = String(placeText).trim();
       if (span.textContent !== t) span.textContent = t;
@@ -406,6 +1121,7 @@
     if (!mask) {
       mask = document.createElement('div');
       mask.className = 'birthage-deceased-mask';
+      mask.setAttribute('aria-hidden', 'true');
       container.appendChild(mask);
     }
   }
@@ -425,11 +1141,117 @@
     if (!badge) {
       badge = document.createElement('div');
       badge.className = 'birthage-deceased';
+      badge.setAttribute('aria-hidden', 'true');
       badge.textContent = '✝';
       container.appendChild(badge);
     }
   }
 
+  // kind: 'birthday' | 'memorial'
+  function ensureHighlight(container, kind, text) {
+    if (!container || !text) return;
+
+    if (!container.classList.contains('birthage-container')) {
+      container.classList.add('birthage-container');
+      try {
+        const pos = getComputedStyle(container).position;
+        if (pos === 'static') container.style.position = 'relative';
+      } catch {}
+    }
+
+    let badge = container.querySelector(':scope > .birthage-highlight');
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.setAttribute('aria-hidden', 'true');
+      container.appendChild(badge);
+    }
+    const cls = 'birthage-highlight birthage-highlight-' + kind;
+    if (badge.className !== cls) badge.className = cls;
+    if (badge.textContent !== text) badge.textContent = text;
+
+    container.classList.toggle('birthage-has-birthday', kind === 'birthday');
+    container.classList.toggle('birthage-has-memorial', kind === 'memorial');
+  }
+
+  function todayLocalAsUtc() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  }
+
+  // Next anniversary of dateUtc on/after todayUtc: { days, years } (years = count reached on that day).
+  // Feb 29 falls on Mar 1 in non-leap years.
+  function nextAnniversary(dateUtc, todayUtc) {
+    if (!dateUtc || !todayUtc) return null;
+    let y = todayUtc.getUTCFullYear();
+    let next = new Date(Date.UTC(y, dateUtc.getUTCMonth(), dateUtc.getUTCDate()));
+    if (next < todayUtc) {
+      y++;
+      next = new Date(Date.UTC(y, dateUtc.getUTCMonth(), dateUtc.getUTCDate()));
+    }
+    const days = Math.round((next - todayUtc) / 86400000);
+    return { days: days, years: y - dateUtc.getUTCFullYear() };
+  }
+
+  function whenText(days) {
+    if (days === 0) return t('today');
+    if (days === 1) return t('tomorrow');
+    return tp('inDays', days);
+  }
+
+  // "1940–2010" for deceased people ("† 2010" without a birth date); '' while alive or unknown.
+  function lifespanText(id) {
+    const deathUtc = parseYmdToUtcDate(deathDateCache.get(id));
+    if (!deathUtc) return '';
+    const birthUtc = parseYmdToUtcDate(birthDateCache.get(id));
+    return birthUtc
+      ? birthUtc.getUTCFullYear() + '–' + deathUtc.getUTCFullYear()
+      : '† ' + deathUtc.getUTCFullYear();
+  }
+
+  // True when a title dated dateUtc came out after the person's death.
+  function isPosthumous(id, dateUtc) {
+    const deathUtc = parseYmdToUtcDate(deathDateCache.get(id));
+    return !!(deathUtc && dateUtc && dateUtc > deathUtc);
+  }
+
+  function createPosthumousMarker() {
+    const m = document.createElement('span');
+    m.className = 'birthage-posthumous';
+    m.textContent = t('posthumous');
+    return m;
+  }
+
+  function applyHighlight(el, id) {
+    if (!highlightBirthdays && !highlightMemorials) {
+      removeHighlight(el);
+      return;
+    }
+
+    const today = todayLocalAsUtc();
+    const birthUtc = parseYmdToUtcDate(birthDateCache.get(id));
+    const deathUtc = parseYmdToUtcDate(deathDateCache.get(id));
+    const isDec = (deceasedCache.get(id) === true) || !!deathUtc;
+
+    if (highlightBirthdays && birthUtc && !isDec) {
+      const a = nextAnniversary(birthUtc, today);
+      if (a && a.days <= highlightWindowDays && a.years > 0) {
+        ensureHighlight(el, 'birthday', t('turnsWhen', formatNumber(a.years), whenText(a.days)));
+        return;
+      }
+    }
+
+    if (highlightMemorials && deathUtc) {
+      const a = nextAnniversary(deathUtc, today);
+      if (a && a.days <= highlightWindowDays && a.years > 0) {
+        const text = (a.days === 0) ? tp('memorialToday', a.years) : tp('memorialWhen', a.years, whenText(a.days));
+        ensureHighlight(el, 'memorial', text);
+        return;
+      }
+    }
+
+    removeHighlight(el);
+  }
+
   function registerWaiter(id, el) {
     if (!id || !el) return;
 
@@ -444,6 +1266,9 @@
       removeBirthplaceLine(el);
       removeDeceasedBadge(el);
       removeDeceasedMask(el);
+      removeHighlight(el);
+      removeA11yDescription(el);
+      removeCustomBadges(el);
     }
     elementId.set(el, id);
 
@@ -482,18 +1307,30 @@
     // Remove legacy bottom-right badge (we now render ages in the top-right corner)
     removeBadge(el);
 
+    const described = [];
+
     if (current) {
-      const currentText = showAgeIcons ? ('🎂 ' + current) : current;
+      described.push(t('a11yAge', formatNumber(parseInt(current, 10))));
+      const currentText = showAgeIcons ? ('🎂 ' + formatAge(current)) : formatAge(current);
       let releaseText = null;
 
       if (showAgeAtRelease && contextPremiereUtc && !contextIsPerson && (!getRouteId || getRouteId() === contextItemId)) {
         const birthStr = birthDateCache.get(id);
         const birthUtc = parseYmdToUtcDate(birthStr);
         const years = computeAgeAtUtc(birthUtc, contextPremiereUtc);
-        if (years != null) releaseText = years + ' y';
+        if (years != null) releaseText = formatAge(years);
+
+        // Series pages: range over the run, e.g. "34–41 y" / "34–41 год" (capped at the death date).
+        if (years != null && contextEndUtc) {
+          const deathUtc = parseYmdToUtcDate(deathDateCache.get(id));
+          const endUtc = (deathUtc && deathUtc < contextEndUtc) ? deathUtc : contextEndUtc;
+          const endYears = (endUtc > contextPremiereUtc) ? computeAgeAtUtc(birthUtc, endUtc) : null;
+          if (endYears != null && endYears > years) releaseText = formatAgeRange(years, endYears);
+        }
       }
 
       if (releaseText) {
+        described.push(t('a11yAtRelease', releaseText));
         const primary = showAgeIcons ? ('🎬 ' + releaseText) : releaseText;
         ensureReleaseBadge(el, primary, currentText);
       } else {
@@ -507,6 +1344,7 @@
     if (showBirthCountryFlag) {
       const iso2 = birthCountryIso2Cache.get(id);
       const place = birthPlaceCache.get(id);
+      if (iso2) described.push(t('a11yBornIn', (showBirthPlaceText && place) ? place : countryName(iso2)));
 
       if (iso2 && showBirthPlaceText && place) {
         ensureBirthplaceLine(el, iso2, place);
@@ -528,6 +1366,7 @@
     if (showDeceasedOverlay) {
       const isDec = (deceasedCache.get(id) === true);
       if (isDec) {
+        described.push(t('a11yDeceased'));
         ensureDeceasedMask(el);
         ensureDeceasedBadge(el);
       } else {
@@ -538,6 +1377,13 @@
       removeDeceasedBadge(el);
       removeDeceasedMask(el);
     }
+
+    applyHighlight(el, id);
+    const highlight = el.querySelector(':scope > .birthage-highlight');
+    if (highlight && highlight.textContent) described.push(highlight.textContent);
+    setA11yDescription(el, described.join(', '));
+
+    applyCustomRenderers(el, id);
   }
 
   function deliver(id) {
@@ -549,6 +1395,82 @@
     });
   }
 
+  // ===== Public API: events, person snapshots, custom badge renderers =====
+  const apiListeners = new Map();   // event name -> Set<function>
+  const badgeRenderers = new Map(); // renderer name -> function(ctx)
+
+  function emitApiEvent(name, detail) {
+    const set = apiListeners.get(name);
+    if (set && set.size) {
+      set.forEach(fn => {
+        try { fn(detail); } catch (e) { try { console.error('[ActorPlus] listener failed', e); } catch {} }
+      });
+    }
+    try {
+      document.dispatchEvent(new CustomEvent('actorplus:' + name, { detail: detail }));
+    } catch {}
+  }
+
+  // Plain-object view of everything we know about a person (null when nothing is known yet).
+  function getPersonSnapshot(id) {
+    const nid = normalizeId(id);
+    if (!nid) return null;
+    const known = ageCache.has(nid) || birthDateCache.has(nid) || birthCountryIso2Cache.has(nid) ||
+      birthPlaceCache.has(nid) || deceasedCache.has(nid);
+    if (!known) return null;
+
+    const ageText = ageCache.get(nid);
+    const age = ageText ? parseInt(ageText, 10) : NaN;
+    return {
+      id: nid,
+      birthDate: birthDateCache.get(nid) || null,
+      deathDate: deathDateCache.get(nid) || null,
+      birthPlace: birthPlaceCache.get(nid) || null,
+      birthCountryIso2: birthCountryIso2Cache.get(nid) || null,
+      isDeceased: deceasedCache.has(nid) ? deceasedCache.get(nid) === true : null,
+      age: Number.isFinite(age) ? age : null
+    };
+  }
+
+  function removeCustomBadges(container) {
+    if (!container || !container.querySelectorAll) return;
+    container.querySelectorAll(':scope > .birthage-custom').forEach(n => n.remove());
+  }
+
+  function applyCustomRenderers(el, id) {
+    if (!badgeRenderers.size) return;
+    const person = getPersonSnapshot(id);
+    badgeRenderers.forEach((fn, name) => {
+      const slotClass = 'birthage-custom-' + name;
+      const ctx = {
+        element: el,
+        id: id,
+        person: person,
+        // Returns this renderer's own overlay element (created once, removed on recycled nodes).
+        slot: () => {
+          let node = el.querySelector(':scope > .' + slotClass);
+          if (!node) {
+            if (!el.classList.contains('birthage-container')) {
+              el.classList.add('birthage-container');
+              try {
+                if (getComputedStyle(el).position === 'static') el.style.position = 'relative';
+              } catch {}
+            }
+            node = document.createElement('div');
+            node.className = 'birthage-custom ' + slotClass;
+            el.appendChild(node);
+          }
+          return node;
+        },
+        clear: () => {
+          const node = el.querySelector(':scope > .' + slotClass);
+          if (node) node.remove();
+        }
+      };
+      try { fn(ctx); } catch (e) { try { console.error('[ActorPlus] badge renderer "' + name + '" failed', e); } catch {} }
+    });
+  }
+
   // ===== ApiClient bootstrap (multi_tag.js approach) =====
   const ApiClientRef =
     (typeof window !== 'undefined' && (window.ApiClient || (window.unsafeWindow && window.unsafeWindow.ApiClient)))
@@ -572,6 +1494,10 @@
   function bootstrap(ApiClient) {
     try { console.debug('[ActorPlus] JS loaded (nav-safe)'); } catch {}
 
+    if (!assetsBase) {
+      try { assetsBase = ApiClient.getUrl('ActorPlus/assets/').replace(/\/?$/, '/'); } catch {}
+    }
+
     function getUserIdSafe() {
       try {
         if (typeof ApiClient.getCurrentUserId === 'function') {
@@ -606,11 +1532,53 @@
     getRouteId = getCurrentRouteItemId;
 
     let contextRefreshTimer = null;
+    // Premiere date of an item as UTC Y-M-D; falls back to Jan 1 of ProductionYear.
+    function itemDateUtc(item) {
+      if (!item) return null;
+      const premiere = item.PremiereDate || item.premiereDate || null;
+      if (premiere) {
+        const d = toUtcYmd(new Date(premiere));
+        if (d) return d;
+      }
+      const py = item.ProductionYear || item.productionYear;
+      if (py) {
+        const y = parseInt(String(py), 10);
+        if (Number.isFinite(y) && y > 1800) return new Date(Date.UTC(y, 0, 1));
+      }
+      return null;
+    }
+
+    // First (or latest) aired episode below a series/season, for items without their own dates.
+    async function fetchEpisodeDateUtc(userId, parentId, latest) {
+      try {
+        const json = await ApiClient.ajax({
+          type: 'GET',
+          url: ApiClient.getUrl('Users/' + userId + '/Items', {
+            ParentId: parentId,
+            IncludeItemTypes: 'Episode',
+            Recursive: true,
+            SortBy: 'PremiereDate',
+            SortOrder: latest ? 'Descending' : 'Ascending',
+            Fields: 'PremiereDate',
+            HasPremiereDate: true,
+            Limit: '1'
+          }),
+          dataType: 'json'
+        });
+        const items = (json && (json.Items || json.items)) || [];
+        return items.length ? itemDateUtc(items[0]) : null;
+      } catch {
+        return null;
+      }
+    }
+
     async function refreshContext() {
       const itemId = getCurrentRouteItemId();
       if (!itemId) {
         contextItemId = null;
         contextPremiereUtc = null;
+        contextEndUtc = null;
+        contextItemType = null;
         contextIsPerson = false;
         return;
       }
@@ -620,6 +1588,8 @@
 
       contextItemId = itemId;
       contextPremiereUtc = null;
+      contextEndUtc = null;
+      contextItemType = null;
       contextIsPerson = false;
 
       const userId = getUserIdSafe();
@@ -627,26 +1597,35 @@
 
       try {
         const item = await ApiClient.getItem(userId, itemId);
-        if (!item) return;
+        if (!item || contextItemId !== itemId) return;
         const type = String(item.Type || item.type || '').toLowerCase();
         contextIsPerson = (type === 'person');
         if (contextIsPerson) {
+          contextItemType = type;
           contextPremiereUtc = null;
           return;
         }
 
-        // Prefer exact premiere date; fallback to production year
-        const premiere = item.PremiereDate || item.premiereDate || null;
-        if (premiere) {
-          const d = toUtcYmd(new Date(premiere));
-          if (d) contextPremiereUtc = d;
-        } else {
-          const py = item.ProductionYear || item.productionYear;
-          if (py) {
-            const y = parseInt(String(py), 10);
-            if (Number.isFinite(y) && y > 1800) contextPremiereUtc = new Date(Date.UTC(y, 0, 1));
-          }
+        // Movies, episodes (guest stars -> age at that air date) and seasons use their own date.
+        let start = itemDateUtc(item);
+        let end = null;
+
+        if (type === 'season' && !(item.PremiereDate || item.premiereDate)) {
+          // Seasons often carry only a year (or nothing); the first episode is more precise.
+          start = (await fetchEpisodeDateUtc(userId, itemId, false)) || start;
+        } else if (type === 'series') {
+          // Series: age range across the whole run (premiere -> end date / latest episode / today).
+          const endRaw = item.EndDate || item.endDate || null;
+          end = endRaw ? toUtcYmd(new Date(endRaw)) : null;
+          if (!end) end = await fetchEpisodeDateUtc(userId, itemId, true);
+          const status = String(item.Status || item.status || '').toLowerCase();
+          if (!end && status === 'continuing') end = toUtcYmd(new Date());
         }
+
+        if (contextItemId !== itemId) return;
+        contextItemType = type;
+        contextPremiereUtc = start;
+        contextEndUtc = (start && end && end > start) ? end : null;
       } catch {
         // ignore
       }
@@ -657,6 +1636,8 @@ function resetContextForRoute() {
   if (!itemId) {
     contextItemId = null;
     contextPremiereUtc = null;
+    contextEndUtc = null;
+    contextItemType = null;
     contextIsPerson = false;
     return;
   }
@@ -667,6 +1648,8 @@ function resetContextForRoute() {
     contextItemId = itemId;
   }
   contextPremiereUtc = null;
+  contextEndUtc = null;
+  contextItemType = null;
   contextIsPerson = false;
 }
 
@@ -677,6 +1660,7 @@ function resetContextForRoute() {
         await refreshContext();
         // Context changes affect "age at release" badges, so rescan to update.
         scheduleScan(document, true);
+        scheduleDetailsPanels();
       }, 120);
     }
 
@@ -696,63 +1680,81 @@ function resetContextForRoute() {
       }
       if (!todo.length) return;
 
-      // Concurrency-limited touching to avoid UI stalls
-      const CONC = 4;
-      let idx = 0;
-
-      async function worker() {
-        while (idx < todo.length) {
-          const i = idx++;
-          const pid = todo[i];
-          try {
-            // ApiClient.getItem will go through Jellyfin's standard API and may materialize the Person item.
-            // Race with a small timeout so we never hang.
-            await Promise.race([
-              ApiClient.getItem(userId, pid),
-              delay(4000).then(() => { throw new Error('touch timeout'); })
-            ]);
-          } catch {
-            // ignore
-          }
+      // Concurrency-limited touching (shared with age batches) to avoid UI stalls
+      await Promise.all(todo.map(pid => withNetSlot(async () => {
+        try {
+          // ApiClient.getItem will go through Jellyfin's standard API and may materialize the Person item.
+          // Race with a small timeout so we never hang.
+          await Promise.race([
+            ApiClient.getItem(userId, pid),
+            delay(4000).then(() => { throw new Error('touch timeout'); })
+          ]);
+        } catch {
+          // ignore
         }
-      }
-
-      const n = Math.min(CONC, todo.length);
-      await Promise.all(Array.from({ length: n }, () => worker()));
+      })));
     }
 
-    async function loadStatus() {
-      if (enabled !== null && (Date.now() - statusLoadedAt) < STATUS_TTL_MS) return enabled;
-      try {
-        const json = await ApiClient.ajax({
-          type: 'GET',
-          url: ApiClient.getUrl(API_STATUS),
-          dataType: 'json'
-        });
+    function applyStatus(json) {
         const flag = json ? (json.Enabled ?? json.enabled) : null;
+        const aad = json ? (json.ShowAgeAtDeath ?? json.showAgeAtDeath) : null;
         const rel = json ? (json.ShowAgeAtRelease ?? json.showAgeAtRelease) : null;
         const ico = json ? (json.ShowAgeIcons ?? json.showAgeIcons) : null;
         const flg = json ? (json.ShowBirthCountryFlag ?? json.showBirthCountryFlag) : null;
         const bpt = json ? (json.ShowBirthPlaceText ?? json.showBirthPlaceText) : null;
+        const fst = json ? (json.FlagStyle ?? json.flagStyle) : null;
         const dec = json ? (json.ShowDeceasedOverlay ?? json.showDeceasedOverlay) : null;
+        const hbd = json ? (json.HighlightBirthdays ?? json.highlightBirthdays) : null;
+        const hmm = json ? (json.HighlightMemorials ?? json.highlightMemorials) : null;
+        const hwd = json ? (json.HighlightWindowDays ?? json.highlightWindowDays) : null;
         const hfg = json ? (json.EnableHoverFilmography ?? json.enableHoverFilmography) : null;
         const hfl = json ? (json.HoverFilmographyLimit ?? json.hoverFilmographyLimit) : null;
         const hfr = json ? (json.RandomizeHoverFilmography ?? json.randomizeHoverFilmography) : null;
         const hcm = json ? (json.EnableHoverCastMenu ?? json.enableHoverCastMenu) : null;
         const hcl = json ? (json.HoverCastLimit ?? json.hoverCastLimit) : null;
+        const hcc = json ? (json.HoverCastCrewTypes ?? json.hoverCastCrewTypes) : null;
+        const asc = json ? (json.AggregateSeriesCast ?? json.aggregateSeriesCast) : null;
+        const btw = json ? (json.ShowBornThisWeekRow ?? json.showBornThisWeekRow) : null;
+        const cat = json ? (json.ShowCastAgeTimeline ?? json.showCastAgeTimeline) : null;
+        const csm = json ? (json.ShowCastSummary ?? json.showCastSummary) : null;
+        const crt = json ? (json.ShowCareerTimeline ?? json.showCareerTimeline) : null;
         enabled = !!flag;
+        showAgeAtDeath = (aad === null || aad === undefined) ? true : !!aad;
         showAgeAtRelease = (rel === null || rel === undefined) ? true : !!rel;
         showAgeIcons = (ico === null || ico === undefined) ? false : !!ico;
         showBirthCountryFlag = (flg === null || flg === undefined) ? true : !!flg;
         showBirthPlaceText = (bpt === null || bpt === undefined) ? false : !!bpt;
+        flagStyle = FLAG_STYLES.includes(String(fst || '').toLowerCase()) ? String(fst).toLowerCase() : 'twemoji';
         showDeceasedOverlay = (dec === null || dec === undefined) ? false : !!dec;
+        highlightBirthdays = (hbd === null || hbd === undefined) ? false : !!hbd;
+        highlightMemorials = (hmm === null || hmm === undefined) ? false : !!hmm;
+        highlightWindowDays = (hwd === null || hwd === undefined) ? 0 : Math.max(0, Math.min(30, parseInt(hwd, 10) || 0));
         enableHoverFilmography = (hfg === null || hfg === undefined) ? false : !!hfg;
         hoverFilmographyLimit = (hfl === null || hfl === undefined) ? 12 : Math.max(1, Math.min(100, parseInt(hfl, 10) || 12));
         randomizeHoverFilmography = (hfr === null || hfr === undefined) ? false : !!hfr;
         enableHoverCastMenu = (hcm === null || hcm === undefined) ? false : !!hcm;
         hoverCastLimit = (hcl === null || hcl === undefined) ? 12 : Math.max(1, Math.min(100, parseInt(hcl, 10) || 12));
+        hoverCastCrewTypes = (hcc === null || hcc === undefined)
+          ? ['Director', 'Writer']
+          : CREW_TYPES.filter(c => String(hcc).split(',').some(x => x.trim().toLowerCase() === c.toLowerCase()));
+        aggregateSeriesCast = (asc === null || asc === undefined) ? true : !!asc;
+        showBornThisWeekRow = (btw === null || btw === undefined) ? false : !!btw;
+        showCastAgeTimeline = (cat === null || cat === undefined) ? false : !!cat;
+        showCastSummary = (csm === null || csm === undefined) ? false : !!csm;
+        showCareerTimeline = (crt === null || crt === undefined) ? false : !!crt;
         statusLoadedAt = Date.now();
         return enabled;
+    }
+
+    async function loadStatus(force) {
+      if (!force && enabled !== null && (Date.now() - statusLoadedAt) < STATUS_TTL_MS) return enabled;
+      try {
+        const json = await ApiClient.ajax({
+          type: 'GET',
+          url: ApiClient.getUrl(API_STATUS),
+          dataType: 'json'
+        });
+        return applyStatus(json);
       } catch {
         // keep previous value if any
         if (enabled === null) enabled = false;
@@ -760,13 +1762,77 @@ function resetContextForRoute() {
       }
     }
 
-    function queueFetch(id) {
+    function getPersistScope() {
+      const userId = getUserIdSafe();
+      if (!userId) return null;
+      let serverId = null;
+      try {
+        serverId = (typeof ApiClient.serverId === 'function') ? ApiClient.serverId() : null;
+        if (!serverId && typeof ApiClient.serverAddress === 'function') serverId = ApiClient.serverAddress();
+      } catch {}
+      if (!serverId) serverId = window.location.host;
+      return normalizeId(userId) + '_' + String(serverId).replace(/[^a-z0-9]+/gi, '_');
+    }
+
+    // Paint from the local copy first: fill in-memory caches from IndexedDB before the first scan.
+    async function restorePersistedCache() {
+      await openPersistDb(getPersistScope());
+      const records = await loadPersistedRecords();
+      for (const rec of records) {
+        if (rec && rec.id) applyPersonRecord(rec.id, rec, true);
+      }
+      return records.length;
+    }
+
+    // One cheap revalidation per session: pull only entries the server changed since our last sync.
+    async function syncPersistedCache() {
+      if (!(await (persistDbPromise || Promise.resolve(null)))) return;
+
+      let since = await getPersistMeta('lastSync');
+      let afterId = await getPersistMeta('lastSyncId');
+      for (let page = 0; page < SYNC_MAX_PAGES; page++) {
+        let json;
+        try {
+          const q = since ? { since: since } : {};
+          if (since && afterId) q.afterId = afterId;
+          json = await ApiClient.ajax({
+            type: 'GET',
+            url: ApiClient.getUrl(API_CHANGES, q),
+            dataType: 'json'
+          });
+        } catch {
+          return;
+        }
+        if (!json) return;
+
+        const people = json.People ?? json.people ?? {};
+        for (const k of Object.keys(people)) {
+          const id = normalizeId(k);
+          const rec = people[k];
+          if (!id || !rec) continue;
+          persistRecord(id, rec);
+          applyPersonRecord(id, rec, false, true);
+          deliver(id);
+        }
+
+        const next = json.NextSince ?? json.nextSince;
+        if (next) {
+          since = String(next);
+          afterId = (json.NextAfterId ?? json.nextAfterId) || '';
+          await setPersistMeta('lastSync', since);
+          await setPersistMeta('lastSyncId', afterId);
+        }
+        if (!(json.HasMore ?? json.hasMore)) return;
+      }
+    }
+
+    function queueFetch(id, priority) {
       if (!id) return;
 
       // Even if we already have the current-age text cached, we may still need
       // extra data (birth date for age-at-release, or country ISO2 for the flag).
       const needAge   = !ageCache.has(id);
-      const needBirth = (showAgeAtRelease && !birthDateCache.has(id));
+      const needBirth = ((showAgeAtRelease || highlightBirthdays || highlightMemorials) && !birthDateCache.has(id));
       const needIso2  = (showBirthCountryFlag && !birthCountryIso2Cache.has(id));
       const needPlace = (showBirthCountryFlag && showBirthPlaceText && !birthPlaceCache.has(id));
       const needDec   = (showDeceasedOverlay && !deceasedCache.has(id));
@@ -776,134 +1842,366 @@ function resetContextForRoute() {
         return;
       }
 
-      if (queued.has(id)) return;
-      queued.add(id);
-      if (flushTimer) clearTimeout(flushTimer);
-      flushTimer = setTimeout(flushQueue, 120);
+      const prio = (priority == null) ? PRIORITY_BACKGROUND : priority;
+      if (inFlightIds.has(id)) return;
+      if (queued.has(id) && queued.get(id) <= prio) return;
+      queued.set(id, prio);
+      scheduleFlush(FLUSH_DELAY_MS);
     }
 
-    async function flushQueue() {
-      flushTimer = null;
-      const ids = Array.from(queued);
-      queued.clear();
-      if (!ids.length) return;
+    // ===== Request scheduler =====
+    const netSlotWaiters = [];
+    let netSlotsActive = 0;
+    let ageWorkersActive = 0;
+    let requestGeneration = 0;          // bumped on SPA navigation; older batches are stale
+    const inFlightIds = new Set();
+    const inFlightControllers = new Set();
+    let backoffAttempt = 0;
+    let backoffUntil = 0;
+    const idSettleWaiters = new Map();  // id -> [callback]; see waitForIds()
+
+    function acquireNetSlot() {
+      if (netSlotsActive < NET_CONCURRENCY) {
+        netSlotsActive++;
+        return Promise.resolve();
+      }
+      return new Promise(resolve => netSlotWaiters.push(resolve));
+    }
+
+    function releaseNetSlot() {
+      const next = netSlotWaiters.shift();
+      // Hand the slot over directly so the active count stays accurate.
+      if (next) next();
+      else netSlotsActive = Math.max(0, netSlotsActive - 1);
+    }
+
+    async function withNetSlot(fn) {
+      await acquireNetSlot();
+      try {
+        return await fn();
+      } finally {
+        releaseNetSlot();
+      }
+    }
 
+    function getAccessTokenSafe() {
       try {
-        const resp = await ApiClient.ajax({
+        if (typeof ApiClient.accessToken === 'function') return ApiClient.accessToken() || null;
+      } catch {}
+      return null;
+    }
+
+    // POST /ActorPlus/ages. Uses fetch() when possible so the request can be aborted on navigation;
+    // falls back to ApiClient.ajax (not abortable). Errors carry the HTTP status when there is one.
+    async function postAges(ids, signal) {
+      const url = ApiClient.getUrl(API_BATCH);
+      const body = JSON.stringify({ personIds: ids });
+      const token = getAccessTokenSafe();
+
+      if (!token || typeof window.fetch !== 'function') {
+        return ApiClient.ajax({
           type: 'POST',
-          url: ApiClient.getUrl(API_BATCH),
+          url: url,
           dataType: 'json',
           contentType: 'application/json',
-          data: JSON.stringify({ personIds: ids })
+          data: body
         });
+      }
 
-        const byId = Object.create(null);
-        if (resp && typeof resp === 'object') {
-          for (const k of Object.keys(resp)) byId[normalizeId(k)] = resp[k];
-        }
+      const resp = await window.fetch(url, {
+        method: 'POST',
+        signal: signal || undefined,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Authorization': 'MediaBrowser Token="' + token + '"'
+        },
+        body: body
+      });
+      if (!resp.ok) {
+        const err = new Error('ActorPlus ages request failed: ' + resp.status);
+        err.status = resp.status;
+        throw err;
+      }
+      return resp.json();
+    }
 
-        const missing = [];
+    function indexAgesResponse(resp) {
+      const byId = Object.create(null);
+      if (resp && typeof resp === 'object') {
+        for (const k of Object.keys(resp)) byId[normalizeId(k)] = resp[k];
+      }
+      return byId;
+    }
 
+    // Resolves once every id went through a chunk (answered, rejected or dropped on navigation),
+    // or after timeoutMs. Ids put back for a retry after a server error are not settled yet.
+    function waitForIds(ids, timeoutMs) {
+      return new Promise(resolve => {
+        let left = ids.length;
+        let timer = null;
+        const finish = () => { if (timer !== null) { clearTimeout(timer); timer = null; resolve(); } };
+        timer = setTimeout(finish, timeoutMs);
+        if (!left) { finish(); return; }
         for (const id of ids) {
-          const rec = byId[id];
+          const list = idSettleWaiters.get(id) || [];
+          list.push(() => { if (--left <= 0) finish(); });
+          idSettleWaiters.set(id, list);
+        }
+      });
+    }
 
-          const birth = rec ? (rec.BirthDate ?? rec.birthDate) : null;
-          if (birth) birthDateCache.set(id, String(birth).trim());
+    function settleIds(ids) {
+      for (const id of ids) {
+        const list = idSettleWaiters.get(id);
+        if (!list) continue;
+        idSettleWaiters.delete(id);
+        list.forEach(fn => fn());
+      }
+    }
 
-          const iso2 = rec ? (rec.BirthCountryIso2 ?? rec.birthCountryIso2) : null;
-          if (iso2) birthCountryIso2Cache.set(id, String(iso2).trim());
+    function scheduleFlush(ms) {
+      if (flushTimer) clearTimeout(flushTimer);
+      flushTimer = setTimeout(flushQueue, Math.max(0, ms));
+    }
 
-          const place = rec ? (rec.BirthPlace ?? rec.birthPlace) : null;
-          if (place) birthPlaceCache.set(id, String(place).trim());
+    // Highest priority first; insertion order within the same priority.
+    function takeChunk() {
+      const ids = Array.from(queued.keys())
+        .sort((a, b) => queued.get(a) - queued.get(b))
+        .slice(0, AGES_CHUNK_SIZE);
+      for (const id of ids) queued.delete(id);
+      return ids;
+    }
 
-          // Cache deceased status (presence in map means "known")
-          const decRaw = rec ? (rec.IsDeceased ?? rec.isDeceased) : null;
-          if (decRaw !== null && decRaw !== undefined) {
-            deceasedCache.set(id, !!decRaw);
-          }
+    function flushQueue() {
+      flushTimer = null;
+      const wait = backoffUntil - Date.now();
+      if (wait > 0) {
+        scheduleFlush(wait);
+        return;
+      }
+      while (queued.size && ageWorkersActive < AGES_WORKERS) {
+        ageWorkersActive++;
+        drainQueue().finally(() => { ageWorkersActive--; });
+      }
+    }
 
-          const ageTextRaw = rec ? (rec.AgeText ?? rec.ageText ?? rec.AgeYears ?? rec.ageYears) : null;
-          const n = (ageTextRaw != null) ? String(ageTextRaw).trim() : '';
-          const text = n ? (n + ' y') : null;
+    async function drainQueue() {
+      while (queued.size && Date.now() >= backoffUntil) {
+        // Pick the chunk only once a slot is free, so cards that became visible meanwhile jump ahead.
+        const ok = await withNetSlot(async () => {
+          const ids = takeChunk();
+          if (!ids.length) return false;
+          return sendChunk(ids);
+        });
+        if (!ok) break;
+      }
+    }
 
-          // IMPORTANT: don't "poison" the cache with null permanently.
-          // If metadata appears later (e.g. after a Person item is materialized), we want a chance to re-fetch.
-          if (text) {
-            ageCache.set(id, text);
-          }
+    function backoffDelay(attempt) {
+      const base = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, attempt - 1)));
+      return base + Math.floor(Math.random() * 250);
+    }
 
-          // Decide if we need a "touch" for this person:
-          // - missing current-age text
-          // - missing birth date (needed for age-at-release)
-          // - missing ISO2 (needed for birth country flag)
-          const needAge   = !ageCache.has(id);
-          const needBirth = (showAgeAtRelease && !birthDateCache.has(id));
-          const needIso2  = (showBirthCountryFlag && !birthCountryIso2Cache.has(id));
-          const needPlace = (showBirthCountryFlag && showBirthPlaceText && !birthPlaceCache.has(id));
-          const needDec   = (showDeceasedOverlay && !deceasedCache.has(id));
-
-          if (needAge || needBirth || needIso2 || needPlace || needDec) {
-            missing.push(id);
-          }
+    // Sends one chunk (caller holds a network slot). Returns false when the scheduler should pause.
+    async function sendChunk(ids) {
+      const generation = requestGeneration;
+      const ctrl = (typeof AbortController === 'function') ? new AbortController() : null;
+      if (ctrl) inFlightControllers.add(ctrl);
+      ids.forEach(id => inFlightIds.add(id));
+
+      let resp;
+      try {
+        resp = await postAges(ids, ctrl && ctrl.signal);
+        backoffAttempt = 0;
+      } catch (err) {
+        if ((ctrl && ctrl.signal.aborted) || generation !== requestGeneration) {
+          settleIds(ids);
+          return true;
+        }
+
+        const status = err && err.status;
+        if (status && status < 500 && status !== 429) {
+          // Client error: retrying the same payload won't help.
+          settleIds(ids);
+          return true;
         }
 
+        // Server/network error: put the ids back and pause the whole queue.
         for (const id of ids) {
-          if (ageCache.has(id) || birthDateCache.has(id) || birthCountryIso2Cache.has(id) || birthPlaceCache.has(id) || deceasedCache.has(id)) deliver(id);
+          if (!queued.has(id)) queued.set(id, PRIORITY_BACKGROUND);
         }
+        backoffAttempt++;
+        backoffUntil = Date.now() + backoffDelay(backoffAttempt);
+        scheduleFlush(backoffUntil - Date.now());
+        return false;
+      } finally {
+        if (ctrl) inFlightControllers.delete(ctrl);
+        ids.forEach(id => inFlightIds.delete(id));
+      }
 
-        // If the plugin returned no data for some ids, "touch" those Person items via Jellyfin's standard API,
-        // then re-query the plugin once for just the missing subset.
-        if (missing.length) {
-          await touchMissingPersons(missing);
-          try {
-            const resp2 = await ApiClient.ajax({
-              type: 'POST',
-              url: ApiClient.getUrl(API_BATCH),
-              dataType: 'json',
-              contentType: 'application/json',
-              data: JSON.stringify({ personIds: missing })
-            });
-
-            const byId2 = Object.create(null);
-            if (resp2 && typeof resp2 === 'object') {
-              for (const k of Object.keys(resp2)) byId2[normalizeId(k)] = resp2[k];
-            }
+      const missing = applyAgesResponse(ids, indexAgesResponse(resp));
+      settleIds(ids);
 
-            for (const id of missing) {
-              const rec = byId2[id];
-              const birth2 = rec ? (rec.BirthDate ?? rec.birthDate) : null;
-              if (birth2) birthDateCache.set(id, String(birth2).trim());
-              const iso22 = rec ? (rec.BirthCountryIso2 ?? rec.birthCountryIso2) : null;
-              if (iso22) birthCountryIso2Cache.set(id, String(iso22).trim());
-
-              const place2 = rec ? (rec.BirthPlace ?? rec.birthPlace) : null;
-              if (place2) birthPlaceCache.set(id, String(place2).trim());
-
-              const decRaw2 = rec ? (rec.IsDeceased ?? rec.isDeceased) : null;
-              if (decRaw2 !== null && decRaw2 !== undefined) {
-                deceasedCache.set(id, !!decRaw2);
-              }
-              const ageTextRaw = rec ? (rec.AgeText ?? rec.ageText ?? rec.AgeYears ?? rec.ageYears) : null;
-              const n = (ageTextRaw != null) ? String(ageTextRaw).trim() : '';
-              const text = n ? (n + ' y') : null;
-              if (text) ageCache.set(id, text);
-              if (ageCache.has(id) || birthDateCache.has(id) || birthCountryIso2Cache.has(id) || birthPlaceCache.has(id) || deceasedCache.has(id)) deliver(id);
-            }
-          } catch {
-            // ignore
+      // Follow-up work for a page the user already left is wasted traffic.
+      if (missing.length && generation === requestGeneration) {
+        // Don't hold our slot while touching: the touches need slots from the same pool.
+        retryMissingLater(missing, generation);
+      }
+      return true;
+    }
+
+    function applyAgesResponse(ids, byId) {
+      const missing = [];
+
+      for (const id of ids) {
+        const rec = byId[id];
+        if (rec) {
+          applyPersonRecord(id, rec, false);
+          persistRecord(id, rec);
+        }
+
+        // Decide if we need a "touch" for this person:
+        // - missing current-age text
+        // - missing birth date (needed for age-at-release)
+        // - missing ISO2 (needed for birth country flag)
+        const needAge   = !ageCache.has(id);
+        const needBirth = ((showAgeAtRelease || highlightBirthdays || highlightMemorials) && !birthDateCache.has(id));
+        const needIso2  = (showBirthCountryFlag && !birthCountryIso2Cache.has(id));
+        const needPlace = (showBirthCountryFlag && showBirthPlaceText && !birthPlaceCache.has(id));
+        const needDec   = (showDeceasedOverlay && !deceasedCache.has(id));
+
+        if (needAge || needBirth || needIso2 || needPlace || needDec) {
+          missing.push(id);
+        }
+      }
+
+      for (const id of ids) {
+        if (ageCache.has(id) || birthDateCache.has(id) || birthCountryIso2Cache.has(id) || birthPlaceCache.has(id) || deceasedCache.has(id)) deliver(id);
+      }
+
+      return missing;
+    }
+
+    // If the plugin returned no data for some ids, "touch" those Person items via Jellyfin's standard API,
+    // then re-query the plugin once for just the missing subset.
+    async function retryMissingLater(missing, generation) {
+      try {
+        await touchMissingPersons(missing);
+        if (generation !== requestGeneration) return;
+
+        for (let i = 0; i < missing.length; i += AGES_CHUNK_SIZE) {
+          const chunk = missing.slice(i, i + AGES_CHUNK_SIZE);
+          const resp2 = await withNetSlot(() => postAges(chunk, null));
+          const byId2 = indexAgesResponse(resp2);
+          for (const id of chunk) {
+            const rec = byId2[id];
+            if (!rec) continue;
+            persistRecord(id, rec);
+            if (applyPersonRecord(id, rec, false)) deliver(id);
           }
+          if (generation !== requestGeneration) return;
         }
       } catch {
-        // transient error - retry later (no negative caching)
+        // ignore
       }
     }
 
+    // SPA navigation: queued ids and in-flight batches belong to the previous page.
+    // Cards that are still on screen are re-queued by the post-navigation scans.
+    function cancelStaleRequests() {
+      requestGeneration++;
+      queued.clear();
+      settleIds(Array.from(idSettleWaiters.keys()));
+      inFlightControllers.forEach(ctrl => {
+        try { ctrl.abort(); } catch {}
+      });
+      inFlightControllers.clear();
+    }
+
     function extractIdFromUrlString(url) {
       if (!url) return null;
       const m = String(url).match(/(?:\?|&)id=([0-9a-fA-F-]{32,36})/i);
       return m ? normalizeId(m[1]) : null;
     }
 
+    // Person check + id extraction for a single candidate. Safe to call repeatedly:
+    // registerWaiter() detects recycled nodes via elementId and drops stale badges.
+    function resolveCandidate(el, priority) {
+      if (!el || !(el instanceof Element)) return;
+
+      // Filter: only process people cards (avoid triggering requests for non-person posters).
+      if (el.tagName === 'A') {
+        if (!isPersonCardAnchor(el)) return;
+      } else {
+        // For non-anchor elements (e.g. .listItemImage), only process inside cast/people sections.
+        if (!el.closest(PEOPLE_SECTION_SELECTOR)) return;
+      }
+
+      const id = extractItemId(el);
+      if (!id) return;
+
+      registerWaiter(id, el);
+      queueFetch(id, priority);
+    }
+
+    function onViewportChange(entries) {
+      const viewH = window.innerHeight || document.documentElement.clientHeight || 0;
+      for (const entry of entries) {
+        const el = entry.target;
+        if (entry.isIntersecting) {
+          visibleEls.add(el);
+          // Cards inside the pre-load margin are fetched after the ones actually on screen.
+          const r = entry.boundingClientRect;
+          const onScreen = r && r.bottom > 0 && r.top < viewH;
+          resolveCandidate(el, onScreen ? PRIORITY_VISIBLE : PRIORITY_BACKGROUND);
+        } else {
+          visibleEls.delete(el);
+          // Detached nodes will never intersect again; stop observing them.
+          if (!el.isConnected && viewportObserver) {
+            viewportObserver.unobserve(el);
+            observedEls.delete(el);
+          }
+        }
+      }
+    }
+
+    function ensureViewportObserver() {
+      if (viewportObserver) return viewportObserver;
+      if (typeof window.IntersectionObserver !== 'function') return null;
+      viewportObserver = new IntersectionObserver(onViewportChange, { rootMargin: VIEWPORT_MARGIN });
+      return viewportObserver;
+    }
+
+    function observeCandidate(el) {
+      if (!el || observedEls.has(el)) return;
+      const io = ensureViewportObserver();
+      if (!io) {
+        // Very old engines: resolve immediately (previous behavior).
+        resolveCandidate(el, PRIORITY_BACKGROUND);
+        return;
+      }
+      observedEls.add(el);
+      io.observe(el);
+    }
+
+    // Re-check cards currently on screen. Virtualized lists may rebind a visible node to another
+    // person without it leaving the viewport; this is cheap because it never touches off-screen cards.
+    function recheckVisible() {
+      if (!viewportObserver) {
+        scheduleScan(document);
+        return;
+      }
+      visibleEls.forEach(el => {
+        if (!el.isConnected) {
+          visibleEls.delete(el);
+          return;
+        }
+        resolveCandidate(el, PRIORITY_VISIBLE);
+      });
+    }
+
     function scan(root) {
       // Safety: ensure context matches current route even if navigation event wasn't caught yet.
       try {
@@ -911,31 +2209,17 @@ function resetContextForRoute() {
         if (rid && contextItemId !== rid) {
           contextItemId = rid;
           contextPremiereUtc = null;
+          contextEndUtc = null;
+          contextItemType = null;
           contextIsPerson = false;
           scheduleContextRefresh();
         }
       } catch {}
       if (!root || typeof root.querySelectorAll !== 'function') return;
 
-      // Cards/grids
-      root.querySelectorAll(TARGET_SELECTORS).forEach(el => {
-        if (!el || !(el instanceof Element)) return;
-
-        // Filter: person cards only (anchors)
-        // Filter: only process people cards (avoid triggering requests for non-person posters).
-    if (el.tagName === 'A') {
-      if (!isPersonCardAnchor(el)) return;
-    } else {
-      // For non-anchor elements (e.g. .listItemImage), only process inside cast/people sections.
-      if (!el.closest('#castContent, #cast, .castContent, .cast, .peopleSection, .detailsCast, .itemDetailsCast')) return;
-    }
-
-        const id = extractItemId(el);
-        if (!id) return;
-
-        registerWaiter(id, el);
-        queueFetch(id);
-      });
+      // Cards/grids: only register with the viewport observer here (no style/layout reads).
+      if (root instanceof Element && root.matches(TARGET_SELECTORS)) observeCandidate(root);
+      root.querySelectorAll(TARGET_SELECTORS).forEach(observeCandidate);
 
       // Person details page: hash routing (#/details?id=...)
       const hashId = extractIdFromUrlString(window.location.hash) || extractIdFromUrlString(window.location.href);
@@ -943,12 +2227,13 @@ function resetContextForRoute() {
         const detail = document.querySelector('.detailImageContainer, .detailImage, .detailPrimaryImageContainer') || null;
         if (detail) {
           registerWaiter(hashId, detail);
-          queueFetch(hashId);
+          queueFetch(hashId, PRIORITY_VISIBLE);
         }
       }
     }
 
     function scheduleScan(root, force) {
+      pendingScanRoots.add(root || document);
       if (force) scanScheduled = false;
       if (scanScheduled) return;
       scanScheduled = true;
@@ -956,7 +2241,14 @@ function resetContextForRoute() {
       const run = () => {
         scanScheduled = false;
         if (document.hidden) return;
-        try { scan(root || document); } catch {}
+        const roots = pendingScanRoots.has(document) ? [document] : Array.from(pendingScanRoots);
+        pendingScanRoots.clear();
+        for (const r of roots) {
+          if (r !== document && !r.isConnected) continue;
+          try { scan(r); } catch {}
+        }
+        // Full passes (navigation, context change) must also repaint cards that are already visible.
+        if (roots[0] === document && viewportObserver) recheckVisible();
       };
 
       // Prefer idle time; fallback to timeout
@@ -978,22 +2270,36 @@ let filmPopup = null;
 let filmPopupHideTimer = null;
 let filmPopupShowTimer = null;
 let hoverTargetEl = null;
+let filmPopupState = null; // paging/sort/search state of the open filmography popup
 
 function ensureFilmPopup() {
   if (filmPopup) return filmPopup;
   filmPopup = document.createElement('div');
   filmPopup.className = 'birthage-filmography-popup';
+  filmPopup.setAttribute('role', 'dialog');
+  filmPopup.setAttribute('aria-label', t('filmography'));
   filmPopup.style.display = 'none';
   filmPopup.addEventListener('pointerenter', () => {
     if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
   });
-  filmPopup.addEventListener('pointerleave', () => {
+  filmPopup.addEventListener('pointerleave', e => {
+    // Touch pointers "leave" when lifted; sheets close by tap outside / swipe instead
+    if (e.pointerType === 'touch' || filmPopup === sheetPopup) return;
+    // Keep the popup while the user is typing in its search box or picking a sort
+    if (isFilmControlFocused()) return;
     scheduleHideFilmPopup(200);
   });
+  filmPopup.addEventListener('scroll', () => loadMoreFilmography(filmPopupState), { passive: true });
+  attachSheetGestures(filmPopup);
   document.body.appendChild(filmPopup);
   return filmPopup;
 }
 
+function isFilmControlFocused() {
+  const el = document.activeElement;
+  return !!(filmPopup && el && filmPopup.contains(el) && (el.tagName === 'INPUT' || el.tagName === 'SELECT'));
+}
+
 function scheduleHideFilmPopup(ms) {
   if (filmPopupShowTimer) { clearTimeout(filmPopupShowTimer); filmPopupShowTimer = null; }
   if (filmPopupHideTimer) clearTimeout(filmPopupHideTimer);
@@ -1004,34 +2310,58 @@ function hideFilmPopup() {
   if (!filmPopup) return;
   filmPopup.style.display = 'none';
   filmPopup.innerHTML = '';
+  filmPopupState = null;
   hoverTargetEl = null;
+  closeSheet(filmPopup);
 }
 
-function positionFilmPopup(anchorEl) {
-  if (!filmPopup || !anchorEl) return;
-  const r = anchorEl.getBoundingClientRect();
+// Shared placement for the hover popups: beside the card when there is room, otherwise below/above
+// it across the viewport; as a bottom sheet when opened by touch (or on very small screens).
+function placePopup(pop, anchorEl, width, maxH) {
   const pad = 10;
-  const width = Math.min(420, Math.max(260, Math.floor(window.innerWidth * 0.30)));
-  filmPopup.style.width = width + 'px';
+  if (pop === sheetPopup || window.innerWidth <= 480) {
+    pop.classList.add('birthage-popup-sheet');
+    pop.style.left = '';
+    pop.style.top = '';
+    pop.style.width = '';
+    pop.style.maxHeight = Math.floor(window.innerHeight * 0.7) + 'px';
+    return;
+  }
+  pop.classList.remove('birthage-popup-sheet');
+
+  const r = anchorEl.getBoundingClientRect();
+  width = Math.min(width, window.innerWidth - 2 * pad);
+  pop.style.width = width + 'px';
+  pop.style.maxHeight = maxH + 'px';
 
-  // Default: to the right, aligned to top
   let left = r.right + pad;
   let top = r.top;
-
-  // If doesn't fit right, place left
-  if (left + width + pad > window.innerWidth) {
-    left = Math.max(pad, r.left - width - pad);
-  }
-
-  // Clamp vertically
-  const maxH = Math.min(360, Math.floor(window.innerHeight * 0.55));
-  filmPopup.style.maxHeight = maxH + 'px';
-  if (top + maxH + pad > window.innerHeight) {
+  if (left + width + pad > window.innerWidth) left = r.left - width - pad;
+
+  if (left < pad) {
+    // No room on either side: center horizontally, below the card (or above if that fits better)
+    left = Math.max(pad, Math.round((window.innerWidth - width) / 2));
+    const below = window.innerHeight - r.bottom - pad;
+    const above = r.top - pad;
+    top = (below >= Math.min(maxH, 200) || below >= above) ? r.bottom + pad : Math.max(pad, r.top - pad - maxH);
+    const room = (top > r.top) ? below - pad : above - pad;
+    if (room > 120 && room < maxH) {
+      pop.style.maxHeight = room + 'px';
+      if (top < r.top) top = r.top - pad - room;
+    }
+  } else if (top + maxH + pad > window.innerHeight) {
     top = Math.max(pad, window.innerHeight - maxH - pad);
   }
 
-  filmPopup.style.left = Math.round(left) + 'px';
-  filmPopup.style.top  = Math.round(top) + 'px';
+  pop.style.left = Math.round(left) + 'px';
+  pop.style.top = Math.round(top) + 'px';
+}
+
+function positionFilmPopup(anchorEl) {
+  if (!filmPopup || !anchorEl) return;
+  const width = Math.min(420, Math.max(260, Math.floor(window.innerWidth * 0.30)));
+  const maxH = Math.min(360, Math.floor(window.innerHeight * 0.55));
+  placePopup(filmPopup, anchorEl, width, maxH);
 }
 
 function formatFilmItem(it) {
@@ -1078,6 +2408,17 @@ async function fetchFilmographyTotal(pid) {
   })().catch(() => 0);
 }
 
+// Base Users/{id}/Items query for titles featuring a person (popup and career timeline).
+function filmographyQuery(pid) {
+  return {
+    PersonIds: pid,
+    IncludeItemTypes: 'Movie,Series',
+    Recursive: true,
+    Fields: 'ProductionYear,PremiereDate',
+    EnableUserData: 'true'
+  };
+}
+
 function fetchFilmography(personId, limit, randomize) {
   const pid = normalizeId(personId);
   if (!pid) return { items: [], total: 0 };
@@ -1112,21 +2453,18 @@ if (cached && (Date.now() - cached.ts) < FILMOGRAPHY_TTL_MS) {
       }
     }
 
-    const q = {
-      PersonIds: pid,
-      IncludeItemTypes: 'Movie,Series',
-      Recursive: true,
+    const q = Object.assign(filmographyQuery(pid), {
       Limit: String(limit || 12),
-      Fields: 'ProductionYear',
+      Fields: 'ProductionYear,PremiereDate,People',
       EnableTotalRecordCount: 'true'
-    };
+    });
 
     if (doRandom) {
       // Jellyfin поддерживает сортировку Random для выборок.
       q.SortBy = 'Random';
     } else {
-      q.SortBy = 'PremiereDate,SortName';
-      q.SortOrder = 'Descending';
+      // Same order as the popup's later pages (fetchFilmographyPage), so StartIndex paging lines up.
+      [q.SortBy, q.SortOrder] = FILMOGRAPHY_SORTS.year;
     }
 
     const json = await ApiClient.ajax({
@@ -1151,6 +2489,81 @@ if (cached && (Date.now() - cached.ts) < FILMOGRAPHY_TTL_MS) {
   return p;
 }
 
+// Episode-level credits (guest appearances), grouped under their series by the popup.
+// The newest EPISODE_CREDITS_MAX are kept; beyond that the popup header says the list is limited.
+const EPISODE_CREDITS_MAX = 300;
+const episodeCreditsCache = new Map(); // personId -> { items: [], truncated: bool, ts: number }
+const episodeCreditsInFlight = new Map(); // personId -> Promise
+
+function fetchEpisodeCredits(personId) {
+  const pid = normalizeId(personId);
+  if (!pid) return Promise.resolve({ items: [], truncated: false });
+
+  const cached = episodeCreditsCache.get(pid);
+  if (cached && (Date.now() - cached.ts) < FILMOGRAPHY_TTL_MS) return Promise.resolve({ items: cached.items, truncated: cached.truncated });
+  if (episodeCreditsInFlight.has(pid)) return episodeCreditsInFlight.get(pid);
+
+  const p = (async () => {
+    const userId = getUserIdSafe();
+    if (!userId) return { items: [], truncated: false };
+
+    // People carries the character and credit type; images are built from ids, so no image tags.
+    const q = Object.assign(filmographyQuery(pid), {
+      IncludeItemTypes: 'Episode',
+      Limit: String(EPISODE_CREDITS_MAX),
+      Fields: 'ProductionYear,PremiereDate,People',
+      SortBy: 'PremiereDate,ParentIndexNumber,IndexNumber',
+      SortOrder: 'Descending',
+      EnableImages: 'false',
+      EnableTotalRecordCount: 'true'
+    });
+    const json = await ApiClient.ajax({
+      type: 'GET',
+      url: ApiClient.getUrl('Users/' + userId + '/Items', q),
+      dataType: 'json'
+    });
+
+    const items = (json && (json.Items || json.items)) || [];
+    const total = parseInt(json && (json.TotalRecordCount ?? json.totalRecordCount), 10) || items.length;
+    // Back to air order for the groups
+    const clean = items.filter(x => x && (x.Id || x.id) && (x.SeriesId || x.seriesId)).reverse();
+    const truncated = total > items.length;
+    episodeCreditsCache.set(pid, { items: clean, truncated: truncated, ts: Date.now() });
+    return { items: clean, truncated: truncated };
+  })().catch(() => ({ items: [], truncated: false }))
+    .finally(() => episodeCreditsInFlight.delete(pid));
+
+  episodeCreditsInFlight.set(pid, p);
+  return p;
+}
+
+// Episodes -> [{ seriesId, seriesName, episodes: [...], latestUtc }], episodes in air order.
+function groupEpisodesBySeries(episodes) {
+  const groups = new Map();
+  for (const ep of episodes || []) {
+    const sid = normalizeId(ep.SeriesId || ep.seriesId);
+    let g = groups.get(sid);
+    if (!g) {
+      g = { seriesId: sid, seriesName: (ep.SeriesName || ep.seriesName || '—').toString(), episodes: [], latestUtc: null };
+      groups.set(sid, g);
+    }
+    g.episodes.push(ep);
+    const d = itemDateUtc(ep);
+    if (d && (!g.latestUtc || d > g.latestUtc)) g.latestUtc = d;
+  }
+  return Array.from(groups.values());
+}
+
+// "S05E03"; specials and unnumbered episodes fall back to what is known.
+function episodeCode(ep) {
+  const s = ep.ParentIndexNumber ?? ep.parentIndexNumber;
+  const e = ep.IndexNumber ?? ep.indexNumber;
+  const pad = n => String(n).padStart(2, '0');
+  if (s != null && e != null) return 'S' + pad(s) + 'E' + pad(e);
+  if (e != null) return 'E' + pad(e);
+  return '';
+}
+
 function getPrimaryImageUrl(itemId, width, height) {
   const id = (itemId || '').toString();
   if (!id) return null;
@@ -1166,196 +2579,776 @@ function getPrimaryImageUrl(itemId, width, height) {
   }
 }
 
-function renderFilmPopup(anchorEl, personId, personName, items, total, useRandom, truncated) {
-  const pop = ensureFilmPopup();
+// ===== Watched state (UserData) in popups =====
+function userDataOf(item) {
+  return (item && (item.UserData || item.userData)) || null;
+}
 
-  const header = document.createElement('div');
-  header.className = 'birthage-filmography-header';
+// 'played' | 'progress' | 'unplayed'
+function watchState(ud) {
+  if (!ud) return 'unplayed';
+  if (ud.Played ?? ud.played) return 'played';
+  const pos = ud.PlaybackPositionTicks ?? ud.playbackPositionTicks ?? 0;
+  const pct = ud.PlayedPercentage ?? ud.playedPercentage ?? 0;
+  return (pos > 0 || pct > 0) ? 'progress' : 'unplayed';
+}
 
-  const title = document.createElement('div');
-  title.className = 'birthage-filmography-title';
-  title.textContent = personName ? `Filmography: ${personName}` : 'Filmography';
+// Series/episode groups: played when every episode is, in progress when any was started.
+function combinedWatchState(states) {
+  if (!states.length) return 'unplayed';
+  if (states.every(s => s === 'played')) return 'played';
+  return states.some(s => s !== 'unplayed') ? 'progress' : 'unplayed';
+}
 
-  const meta = document.createElement('div');
-  meta.className = 'birthage-filmography-metaheader';
-  if (total && total > 0) {
-    const shown = (items && items.length) ? items.length : 0;
-    const rnd = useRandom ? ' • random' : '';
-    const trunc = truncated ? ' • limited' : '';
-    meta.textContent = `Shown ${shown} of ${total}${rnd}${trunc}`;
-  } else {
-    meta.textContent = '';
+function buildProgressBar(pct) {
+  const p = Math.max(0, Math.min(100, Number(pct) || 0));
+  if (!p) return null;
+  const bar = document.createElement('div');
+  bar.className = 'birthage-progress';
+  bar.title = t('progressPct', formatNumber(Math.round(p)));
+  bar.setAttribute('role', 'img');
+  bar.setAttribute('aria-label', bar.title);
+  const fill = document.createElement('span');
+  fill.style.width = p.toFixed(1) + '%';
+  bar.appendChild(fill);
+  return bar;
+}
+
+// ♥ / ✓ / "3 unplayed" markers for an item; null when there is nothing to show.
+function buildUserDataMarks(ud, isSeries) {
+  if (!ud) return null;
+  const wrap = document.createElement('span');
+  wrap.className = 'birthage-userdata';
+
+  if (ud.IsFavorite ?? ud.isFavorite) {
+    const fav = document.createElement('span');
+    fav.className = 'birthage-userdata-favorite';
+    fav.title = t('favorite');
+    fav.setAttribute('role', 'img');
+    fav.setAttribute('aria-label', t('favorite'));
+    fav.textContent = '♥';
+    wrap.appendChild(fav);
+  }
+  if (watchState(ud) === 'played') {
+    const played = document.createElement('span');
+    played.className = 'birthage-userdata-played';
+    played.title = t('played');
+    played.setAttribute('role', 'img');
+    played.setAttribute('aria-label', t('played'));
+    played.textContent = '✓';
+    wrap.appendChild(played);
+  } else if (isSeries) {
+    const unplayed = ud.UnplayedItemCount ?? ud.unplayedItemCount;
+    if (unplayed > 0) {
+      const count = document.createElement('span');
+      count.className = 'birthage-userdata-unplayed';
+      count.textContent = tp('unplayedCount', unplayed);
+      wrap.appendChild(count);
+    }
   }
+  return wrap.childNodes.length ? wrap : null;
+}
 
-  header.appendChild(title);
-  header.appendChild(meta);
+// Role tab and watch filter together decide which popup entries are visible.
+function applyFilmListFilters(list) {
+  const role = list.getAttribute('data-role-filter') || '';
+  const watch = list.getAttribute('data-watch-filter') || '';
+  list.querySelectorAll(':scope > [data-credit-types]').forEach(el => {
+    const state = el.getAttribute('data-watch-state') || 'unplayed';
+    el.hidden = (!!role && !el.getAttribute('data-credit-types').split(' ').includes(role)) ||
+      (watch === 'unwatched' && state === 'played') ||
+      (watch === 'progress' && state !== 'progress');
+  });
+}
 
-  const list = document.createElement('div');
-  list.className = 'birthage-filmography-list';
+// "All · Unwatched · In progress" chips for the filmography popup.
+function buildWatchFilter(list) {
+  const bar = document.createElement('div');
+  bar.className = 'birthage-filmography-tabs birthage-filmography-watchfilter';
+  [['', t('filterAll')], ['unwatched', t('filterUnwatched')], ['progress', t('filterInProgress')]].forEach(([value, label]) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'birthage-filmography-tab';
+    b.setAttribute('data-watch', value);
+    b.setAttribute('aria-pressed', value ? 'false' : 'true');
+    b.textContent = label;
+    bar.appendChild(b);
+  });
 
-  if (!items || items.length === 0) {
-    const empty = document.createElement('div');
-    empty.className = 'birthage-filmography-empty';
-    empty.textContent = 'Nothing found in the library.';
-    list.appendChild(empty);
-  } else {
-    for (const it of items) {
-      const id = (it.Id || it.id || '').toString();
-      const name = it.Name || it.name || '—';
-      const year = it.ProductionYear || it.productionYear;
-      const type = (it.Type || it.type || '').toLowerCase();
-      const typeRu = (type === 'series') ? 'Series' : 'Movie';
-      const subtitle = year ? `${typeRu} • ${year}` : typeRu;
-
-      const a = document.createElement('a');
-      a.className = 'birthage-filmography-item';
-      a.href = '#/details?id=' + encodeURIComponent(id);
-
-      const thumb = document.createElement('div');
-      thumb.className = 'birthage-filmography-thumb';
-
-      const url = getPrimaryImageUrl(id, 72, 108);
-      if (url) {
-        const img = document.createElement('img');
-        img.loading = 'lazy';
-        img.decoding = 'async';
-        img.alt = name;
-        img.src = url;
-        img.addEventListener('error', () => {
-          // Fallback: show placeholder
-          thumb.classList.add('birthage-thumb-missing');
-          try { img.remove(); } catch { /* ignore */ }
-        });
-        thumb.appendChild(img);
-      } else {
-        thumb.classList.add('birthage-thumb-missing');
-      }
+  bar.addEventListener('click', e => {
+    const b = e.target && e.target.closest && e.target.closest('.birthage-filmography-tab');
+    if (!b) return;
+    bar.querySelectorAll('.birthage-filmography-tab').forEach(x => x.setAttribute('aria-pressed', x === b ? 'true' : 'false'));
+    list.setAttribute('data-watch-filter', b.getAttribute('data-watch'));
+    applyFilmListFilters(list);
+  });
+  return bar;
+}
 
-      const body = document.createElement('div');
-      body.className = 'birthage-filmography-body';
+// ===== Filmography popup entries =====
+// Credit types shown as tabs in the filmography popup, in this order.
+const ROLE_TABS = ['Actor', 'GuestStar', 'Director', 'Writer', 'Producer', 'Composer'];
+// Crew jobs the cast popup can list in their own sections (see HoverCastCrewTypes).
+const CREW_TYPES = ROLE_TABS.slice(2);
+
+// The person's credits on an item from its People list: [{ type: 'Actor', role: 'Character' }, ...]
+function personCredits(item, pid) {
+  const people = (item && (item.People || item.people)) || [];
+  const out = [];
+  for (const p of people) {
+    if (normalizeId(p.Id || p.id) !== pid) continue;
+    const type = (p.Type || p.type || '').toString();
+    const role = (p.Role || p.role || '').toString().trim();
+    if (!out.some(c => c.type === type && c.role === role)) out.push({ type: type, role: role });
+  }
+  return out;
+}
 
-      const t = document.createElement('div');
-      t.className = 'birthage-filmography-name';
-      t.textContent = name;
+function isActingCredit(type) {
+  return type === 'Actor' || type === 'GuestStar';
+}
 
-      const s = document.createElement('div');
-      s.className = 'birthage-filmography-sub';
-      s.textContent = subtitle;
+// "as Character" for acting credits, the capacity ("Director, Writer") otherwise.
+function creditText(credits) {
+  const acting = credits.filter(c => isActingCredit(c.type) && c.role).map(c => c.role);
+  if (acting.length) return t('asCharacter', acting.join(' / '));
+  const other = credits.filter(c => !isActingCredit(c.type) && ROLE_TABS.includes(c.type)).map(c => t('role' + c.type));
+  return Array.from(new Set(other)).join(', ');
+}
 
-      body.appendChild(t);
-      body.appendChild(s);
+// Tab bar "All · Actor (12) · Director (3)"; only when the popup mixes more than one credit type.
+// partial: more pages remain, so the counts are "at least" (shown as "3+").
+function buildRoleTabs(list, counts, total, partial) {
+  const types = ROLE_TABS.filter(type => counts.get(type));
+  if (types.length < 2) return null;
+
+  const bar = document.createElement('div');
+  bar.className = 'birthage-filmography-tabs';
+  if (partial) bar.title = t('countsSoFar');
+  const count = n => partial ? t('countSoFar', formatNumber(n)) : formatNumber(n);
+
+  const addTab = (type, label) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'birthage-filmography-tab';
+    b.setAttribute('data-type', type);
+    b.setAttribute('aria-pressed', type ? 'false' : 'true');
+    b.textContent = label;
+    bar.appendChild(b);
+  };
+  addTab('', t('tabAll', count(total)));
+  types.forEach(type => addTab(type, t('roleTab', t('role' + type), count(counts.get(type)))));
+
+  bar.addEventListener('click', e => {
+    const b = e.target && e.target.closest && e.target.closest('.birthage-filmography-tab');
+    if (!b) return;
+    bar.querySelectorAll('.birthage-filmography-tab').forEach(x => x.setAttribute('aria-pressed', x === b ? 'true' : 'false'));
+    list.setAttribute('data-role-filter', b.getAttribute('data-type'));
+    applyFilmListFilters(list);
+  });
+  return bar;
+}
 
-      a.appendChild(thumb);
-      a.appendChild(body);
+function buildFilmographyEntry(it, pid, subtitle) {
+  const id = (it.Id || it.id || '').toString();
+  const name = it.Name || it.name || '—';
 
-      a.addEventListener('click', () => hideFilmPopup());
-      list.appendChild(a);
-    }
+  const a = document.createElement('a');
+  a.className = 'birthage-filmography-item';
+  a.href = '#/details?id=' + encodeURIComponent(id);
+
+  const thumb = document.createElement('div');
+  thumb.className = 'birthage-filmography-thumb';
+
+  const url = getPrimaryImageUrl(id, 72, 108);
+  if (url) {
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.alt = ''; // decorative: the link text has the name
+    img.src = url;
+    img.addEventListener('error', () => {
+      // Fallback: show placeholder
+      thumb.classList.add('birthage-thumb-missing');
+      try { img.remove(); } catch { /* ignore */ }
+    });
+    thumb.appendChild(img);
+  } else {
+    thumb.classList.add('birthage-thumb-missing');
   }
 
-  pop.innerHTML = '';
-  pop.appendChild(header);
-  pop.appendChild(list);
+  const body = document.createElement('div');
+  body.className = 'birthage-filmography-body';
 
-  positionFilmPopup(anchorEl);
-  pop.style.display = 'block';
-}
+  const nameEl = document.createElement('div');
+  nameEl.className = 'birthage-filmography-name';
+  nameEl.textContent = name;
 
-async function showFilmographyForEl(el) {
-  if (!el) return;
-  await loadStatus();
-  if (!enabled || !enableHoverFilmography) return;
+  const s = document.createElement('div');
+  s.className = 'birthage-filmography-sub';
+  s.textContent = subtitle;
+  if (isPosthumous(pid, itemDateUtc(it))) {
+    s.appendChild(document.createTextNode(' • '));
+    s.appendChild(createPosthumousMarker());
+  }
 
-  const anchor = el.tagName === 'A' ? el : (el.closest && el.closest('a.cardImageContainer')) || el;
-  if (!anchor) return;
+  const ud = userDataOf(it);
+  const isSeries = String(it.Type || it.type || '').toLowerCase() === 'series';
+  const marks = buildUserDataMarks(ud, isSeries);
+  if (marks) nameEl.appendChild(marks);
+  const progress = buildProgressBar(ud && (ud.PlayedPercentage ?? ud.playedPercentage));
+  if (progress && watchState(ud) === 'progress') thumb.appendChild(progress);
+  a.setAttribute('data-watch-state', watchState(ud));
 
-  const pid = extractItemId(anchor);
-  if (!pid) return;
-  if (anchor.tagName === 'A' && !isPersonCardAnchor(anchor)) return;
+  body.appendChild(nameEl);
+  body.appendChild(s);
 
-  // Cancel hide
-  if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
+  a.appendChild(thumb);
+  a.appendChild(body);
 
-  const name = anchor.getAttribute('aria-label') || '';
-  const pop = ensureFilmPopup();
-  pop.innerHTML = '<div class="birthage-filmography-header"><div class="birthage-filmography-title">Filmography</div><div class="birthage-filmography-metaheader"></div></div><div class="birthage-filmography-loading">Loading…</div>';
-  positionFilmPopup(anchor);
-  pop.style.display = 'block';
-  hoverTargetEl = anchor;
+  a.addEventListener('click', () => hideFilmPopup());
+  return a;
+}
 
-  try {
-    const useRandom = !!randomizeHoverFilmography;
-    const data = await fetchFilmography(pid, hoverFilmographyLimit, useRandom);
-    const items = (data && data.items) ? data.items : [];
-    const total = (data && data.total) ? data.total : items.length;
+// Series entry with the person's episodes: "3 episodes (S05E03, S05E07, …)" plus an expandable episode list.
+function buildEpisodeGroup(group, pid) {
+  const EPISODE_CODES_SHOWN = 3;
+  const codes = group.episodes.map(episodeCode).filter(Boolean);
+  const more = codes.length > EPISODE_CODES_SHOWN ? ', …' : '';
+  const shownCodes = codes.slice(0, EPISODE_CODES_SHOWN).join(', ');
+  const subtitle = tp('episodesCount', group.episodes.length) + (shownCodes ? ' (' + shownCodes + more + ')' : '');
+
+  const wrap = document.createElement('div');
+  wrap.className = 'birthage-filmography-group';
+  const types = new Set();
+  group.episodes.forEach(ep => personCredits(ep, pid).forEach(c => types.add(c.type)));
+  wrap.setAttribute('data-credit-types', Array.from(types).join(' '));
+  wrap.setAttribute('data-watch-state', combinedWatchState(group.episodes.map(ep => watchState(userDataOf(ep)))));
+
+  const head = buildFilmographyEntry({ Id: group.seriesId, Name: group.seriesName }, pid, subtitle);
+  wrap.appendChild(head);
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'birthage-filmography-expand';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.title = t('showEpisodes');
+  toggle.setAttribute('aria-label', t('showEpisodes') + ': ' + group.seriesName);
+  toggle.textContent = '▸';
 
-    // If hover moved away, don't overwrite
-    if (hoverTargetEl !== anchor) return;
-    renderFilmPopup(anchor, pid, name, items, total, useRandom, false);
-  } catch {
-    if (hoverTargetEl !== anchor) return;
-    renderFilmPopup(anchor, pid, name, [], 0, false, false);
-  }
-}
+  const list = document.createElement('div');
+  list.className = 'birthage-filmography-episodes';
+  list.id = 'birthage-episodes-' + group.seriesId;
+  list.hidden = true;
+  toggle.setAttribute('aria-controls', list.id);
+
+  for (const ep of group.episodes) {
+    const a = document.createElement('a');
+    a.className = 'birthage-filmography-episode';
+    a.href = '#/details?id=' + encodeURIComponent((ep.Id || ep.id || '').toString());
+
+    const code = document.createElement('span');
+    code.className = 'birthage-filmography-episode-code';
+    code.textContent = episodeCode(ep);
+
+    const nameEl = document.createElement('span');
+    nameEl.className = 'birthage-filmography-episode-name';
+    nameEl.textContent = (ep.Name || ep.name || '—').toString();
+
+    a.appendChild(code);
+    a.appendChild(nameEl);
+
+    const epData = userDataOf(ep);
+    const marks = buildUserDataMarks(epData, false);
+    if (marks) a.appendChild(marks);
+    if (watchState(epData) === 'progress') {
+      const progress = buildProgressBar(epData.PlayedPercentage ?? epData.playedPercentage);
+      if (progress) a.appendChild(progress);
+    }
 
-function setupHoverFilmography() {
-  // Use event delegation (virtualized lists reuse nodes).
-  document.addEventListener('pointerover', function (e) {
-    if (!enableHoverFilmography) return;
-    const t = e.target;
-    if (!t || !t.closest) return;
-    const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
-    if (!anchor) return;
-    if (!isPersonCardAnchor(anchor)) return;
-
-    // entering new target
-    if (hoverTargetEl === anchor) return;
-    hoverTargetEl = anchor;
+    const credit = creditText(personCredits(ep, pid));
+    if (credit) {
+      const roleEl = document.createElement('span');
+      roleEl.className = 'birthage-filmography-episode-role';
+      roleEl.textContent = credit;
+      a.appendChild(roleEl);
+    }
 
-    if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
-    if (filmPopupShowTimer) clearTimeout(filmPopupShowTimer);
-    filmPopupShowTimer = setTimeout(() => {
-      showFilmographyForEl(anchor);
-    }, 220);
-  }, true);
-
-  document.addEventListener('pointerout', function (e) {
-    if (!filmPopup) return;
-    const t = e.target;
-    if (!t || !t.closest) return;
-    const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
-    if (!anchor) return;
-    if (hoverTargetEl !== anchor) return;
+    const d = itemDateUtc(ep);
+    if (d) {
+      const year = document.createElement('span');
+      year.className = 'birthage-filmography-episode-year';
+      year.textContent = String(d.getUTCFullYear());
+      a.appendChild(year);
+    }
+    if (isPosthumous(pid, d)) a.appendChild(createPosthumousMarker());
 
-    const related = e.relatedTarget;
-    if (related && filmPopup && filmPopup.contains(related)) return;
+    a.addEventListener('click', () => hideFilmPopup());
+    list.appendChild(a);
+  }
 
-    scheduleHideFilmPopup(200);
-  }, true);
-}
-    
+  toggle.addEventListener('click', e => {
+    e.preventDefault();
+    e.stopPropagation();
+    const open = list.hidden;
+    list.hidden = !open;
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    toggle.title = open ? t('hideEpisodes') : t('showEpisodes');
+    toggle.setAttribute('aria-label', toggle.title + ': ' + group.seriesName);
+    toggle.textContent = open ? '▾' : '▸';
+  });
 
-// ===== Hover cast menu popup (poster hover) =====
-const castCache = new Map();      // itemId -> { title: string, people: [], ts: number }
-const castInFlight = new Map();   // itemId|fields -> Promise
-const CAST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+  wrap.appendChild(toggle);
+  wrap.appendChild(list);
+  return wrap;
+}
 
-let castPopup = null;
-let castPopupHideTimer = null;
-let castPopupShowTimer = null;
-let castHoverTargetEl = null;
+// Popup sort options -> Users/{id}/Items SortBy / SortOrder. 'random' is only offered when the
+// popup opened in random mode (it cannot be paged).
+const FILMOGRAPHY_SORTS = {
+  year: ['PremiereDate,ProductionYear,SortName', 'Descending'],
+  name: ['SortName', 'Ascending'],
+  rating: ['CommunityRating,SortName', 'Descending'],
+  added: ['DateCreated,SortName', 'Descending']
+};
+const FILMOGRAPHY_SEARCH_DELAY_MS = 300;
+const FILMOGRAPHY_SCROLL_MARGIN_PX = 80;
+
+// One page of the person's titles for the popup (sorted, optionally filtered by a search term).
+async function fetchFilmographyPage(pid, startIndex, limit, sort, search) {
+  const userId = getUserIdSafe();
+  if (!userId) return { items: [], total: 0 };
+
+  const [sortBy, sortOrder] = FILMOGRAPHY_SORTS[sort] || FILMOGRAPHY_SORTS.year;
+  const q = Object.assign(filmographyQuery(pid), {
+    StartIndex: String(startIndex || 0),
+    Limit: String(limit || 12),
+    Fields: 'ProductionYear,PremiereDate,People,DateCreated',
+    SortBy: sortBy,
+    SortOrder: sortOrder,
+    EnableTotalRecordCount: 'true'
+  });
+  if (search) q.SearchTerm = search;
+
+  const json = await ApiClient.ajax({
+    type: 'GET',
+    url: ApiClient.getUrl('Users/' + userId + '/Items', q),
+    dataType: 'json'
+  });
+  const items = (json && (json.Items || json.items)) || [];
+  const clean = items.filter(x => x && (x.Id || x.id) && (x.Name || x.name));
+  const total = (json && (json.TotalRecordCount || json.totalRecordCount)) || clean.length;
+  return { items: clean, total: total };
+}
+
+// Entries for one page of titles: a listed series the person has episode credits in becomes an
+// episode group. In date order, groups of unlisted series are interleaved by their latest episode.
+function mergeEpisodeGroups(state, items, isLastPage) {
+  const entries = [];
+  for (const it of items) {
+    const id = normalizeId(it.Id || it.id);
+    if (state.rendered.has(id)) continue;
+    state.rendered.add(id);
+    const g = state.groups.get(id);
+    if (g) state.groups.delete(id);
+    entries.push({ item: it, group: g || null, dateUtc: itemDateUtc(it) });
+  }
+  if (state.sort !== 'year' && state.sort !== 'random') return entries;
+
+  const oldest = entries.reduce((m, e) => (e.dateUtc && (!m || e.dateUtc < m)) ? e.dateUtc : m, null);
+  for (const g of Array.from(state.groups.values())) {
+    const fits = state.sort === 'random' || isLastPage || (g.latestUtc && oldest && g.latestUtc >= oldest);
+    if (!fits) continue;
+    state.groups.delete(g.seriesId);
+    state.rendered.add(g.seriesId);
+    state.extraShown++;
+    entries.push({ item: null, group: g, dateUtc: g.latestUtc });
+  }
+  if (state.sort === 'year') {
+    entries.sort((a, b) => (b.dateUtc ? b.dateUtc.getTime() : 0) - (a.dateUtc ? a.dateUtc.getTime() : 0));
+  }
+  return entries;
+}
+
+function filmEntrySubtitle(it, pid, sort) {
+  const year = it.ProductionYear || it.productionYear;
+  const type = (it.Type || it.type || '').toLowerCase();
+  const typeLabel = (type === 'series') ? t('series') : t('movie');
+
+  const birthUtc = parseYmdToUtcDate(birthDateCache.get(pid));
+  const age = birthUtc ? computeAgeAtUtc(birthUtc, itemDateUtc(it)) : null;
+  const rating = it.CommunityRating ?? it.communityRating;
+  const ratingText = (sort === 'rating' && rating) ? '★ ' + formatNumber(Math.round(rating * 10) / 10) : '';
+
+  return [typeLabel, year, (age != null && age >= 0) ? formatAge(age) : '', ratingText, creditText(personCredits(it, pid))]
+    .filter(Boolean).join(' • ');
+}
+
+function appendFilmEntries(state, entries) {
+  const list = state.list;
+  const empty = list.querySelector(':scope > .birthage-filmography-empty');
+  if (empty) empty.remove();
+
+  for (const entry of entries) {
+    if (entry.group) {
+      list.appendChild(buildEpisodeGroup(entry.group, state.pid));
+      continue;
+    }
+    const it = entry.item;
+    const credits = personCredits(it, state.pid);
+    const a = buildFilmographyEntry(it, state.pid, filmEntrySubtitle(it, state.pid, state.sort));
+    a.setAttribute('data-credit-types', Array.from(new Set(credits.map(c => c.type))).join(' '));
+    list.appendChild(a);
+  }
+
+  if (!list.querySelector(':scope > [data-credit-types]')) {
+    const none = document.createElement('div');
+    none.className = 'birthage-filmography-empty';
+    none.textContent = t('nothingFound');
+    list.appendChild(none);
+  }
+
+  // Tabs and counts follow what is loaded so far (marked as such while more remains)
+  const counts = new Map();
+  const rows = list.querySelectorAll(':scope > [data-credit-types]');
+  rows.forEach(el => {
+    el.getAttribute('data-credit-types').split(' ').filter(Boolean).forEach(type => counts.set(type, (counts.get(type) || 0) + 1));
+  });
+  state.tabsHolder.innerHTML = '';
+  const tabs = buildRoleTabs(list, counts, rows.length, state.loaded < state.total || state.truncated);
+  if (tabs) state.tabsHolder.appendChild(tabs);
+  applyFilmListFilters(list);
+  updateFilmMeta(state);
+}
+
+function updateFilmMeta(state) {
+  const shown = state.list.querySelectorAll(':scope > [data-credit-types]').length;
+  const total = state.total + state.extraShown + (state.sort === 'year' ? state.groups.size : 0);
+  if (!total) {
+    state.meta.textContent = '';
+    return;
+  }
+  const rnd = state.sort === 'random' ? ' • ' + t('random') : '';
+  const trunc = state.truncated ? ' • ' + t('limited') : '';
+  const more = state.loading ? ' • ' + t('loading') : '';
+  state.meta.textContent = t('shownOf', formatNumber(shown), formatNumber(Math.max(shown, total))) + rnd + trunc + more;
+}
+
+function hasMoreFilmography(state) {
+  return state.sort !== 'random' && state.loaded < state.total;
+}
+
+// Next page when the popup is scrolled near its end (or does not scroll at all yet).
+async function loadMoreFilmography(state) {
+  if (!state || state.loading || filmPopupState !== state || !hasMoreFilmography(state)) return;
+  const pop = filmPopup;
+  if (!pop || pop.scrollTop + pop.clientHeight < pop.scrollHeight - FILMOGRAPHY_SCROLL_MARGIN_PX) return;
+
+  const seq = state.seq;
+  state.loading = true;
+  updateFilmMeta(state);
+  try {
+    const page = await fetchFilmographyPage(state.pid, state.loaded, hoverFilmographyLimit, state.sort, state.search);
+    if (filmPopupState !== state || state.seq !== seq) return;
+    state.loaded += page.items.length;
+    state.total = page.total;
+    if (!page.items.length) state.total = state.loaded;
+    state.loading = false;
+    appendFilmEntries(state, mergeEpisodeGroups(state, page.items, !hasMoreFilmography(state)));
+  } catch {
+    if (filmPopupState !== state || state.seq !== seq) return;
+    state.total = state.loaded; // stop paging after an error
+    state.loading = false;
+    updateFilmMeta(state);
+    return;
+  }
+  loadMoreFilmography(state);
+}
+
+// Sort or search changed: start over from the first page.
+async function reloadFilmography(state) {
+  const seq = ++state.seq;
+  state.loaded = 0;
+  state.total = 0;
+  state.extraShown = 0;
+  state.rendered = new Set();
+  state.groups = new Map(filterEpisodeGroups(state.allGroups, state.search).map(g => [g.seriesId, g]));
+  state.loading = true;
+  state.list.innerHTML = '';
+  updateFilmMeta(state);
+
+  let page;
+  try {
+    page = (state.sort === 'random')
+      ? await fetchFilmography(state.pid, hoverFilmographyLimit, true)
+      : await fetchFilmographyPage(state.pid, 0, hoverFilmographyLimit, state.sort, state.search);
+  } catch {
+    page = { items: [], total: 0 };
+  }
+  if (filmPopupState !== state || state.seq !== seq) return;
+
+  const items = (page && page.items) || [];
+  state.loaded = items.length;
+  state.total = (page && page.total) || items.length;
+  state.loading = false;
+  appendFilmEntries(state, mergeEpisodeGroups(state, items, !hasMoreFilmography(state)));
+  loadMoreFilmography(state);
+}
+
+function filterEpisodeGroups(groups, search) {
+  const term = (search || '').toLowerCase();
+  if (!term) return groups || [];
+  return (groups || []).filter(g => g.seriesName.toLowerCase().includes(term) ||
+    g.episodes.some(ep => String(ep.Name || ep.name || '').toLowerCase().includes(term)));
+}
+
+// Search box and sort switch above the list.
+function buildFilmControls(state) {
+  const bar = document.createElement('div');
+  bar.className = 'birthage-filmography-controls';
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'birthage-filmography-search';
+  input.placeholder = t('searchTitles');
+  input.setAttribute('aria-label', t('searchTitles'));
+
+  const select = document.createElement('select');
+  select.className = 'birthage-filmography-sort';
+  select.setAttribute('aria-label', t('sortBy'));
+  const sorts = (state.sort === 'random' ? ['random'] : []).concat(Object.keys(FILMOGRAPHY_SORTS));
+  for (const value of sorts) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t('sort_' + value);
+    select.appendChild(opt);
+  }
+  select.value = state.sort;
+
+  let searchTimer = null;
+  input.addEventListener('input', () => {
+    if (searchTimer) clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      const search = input.value.trim();
+      if (search === state.search) return;
+      state.search = search;
+      // A random sample cannot be searched; fall back to date order.
+      if (search && state.sort === 'random') {
+        state.sort = 'year';
+        select.value = 'year';
+      }
+      reloadFilmography(state);
+    }, FILMOGRAPHY_SEARCH_DELAY_MS);
+  });
+  select.addEventListener('change', () => {
+    state.sort = select.value;
+    reloadFilmography(state);
+  });
+
+  // Focus kept the popup open; once it leaves the controls, hide unless the pointer is still over it.
+  const onBlur = () => setTimeout(() => {
+    if (filmPopupState === state && !isFilmControlFocused() && !filmPopup.matches(':hover')) scheduleHideFilmPopup(200);
+  }, 0);
+  input.addEventListener('blur', onBlur);
+  select.addEventListener('blur', onBlur);
+
+  bar.appendChild(input);
+  bar.appendChild(select);
+  return bar;
+}
+
+function renderFilmPopup(anchorEl, personId, personName, items, total, useRandom, truncated, episodeGroups) {
+  const pop = ensureFilmPopup();
+  const pid = normalizeId(personId);
+
+  const header = document.createElement('div');
+  header.className = 'birthage-filmography-header';
+
+  const title = document.createElement('div');
+  title.className = 'birthage-filmography-title';
+  title.textContent = personName ? t('filmographyOf', personName) : t('filmography');
+
+  const meta = document.createElement('div');
+  meta.className = 'birthage-filmography-metaheader';
+  // Announces "Shown 24 of 80 • Loading…" as pages arrive
+  meta.setAttribute('role', 'status');
+  meta.setAttribute('aria-live', 'polite');
+  pop.setAttribute('aria-label', title.textContent);
+
+  header.appendChild(title);
+
+  const life = lifespanText(pid);
+  if (life) {
+    const lifeEl = document.createElement('div');
+    lifeEl.className = 'birthage-lifespan birthage-filmography-lifespan';
+    lifeEl.textContent = life;
+    header.appendChild(lifeEl);
+  }
+
+  header.appendChild(meta);
+
+  const list = document.createElement('div');
+  list.className = 'birthage-filmography-list';
+
+  const tabsHolder = document.createElement('div');
+
+  const state = {
+    pid: pid,
+    list: list,
+    meta: meta,
+    tabsHolder: tabsHolder,
+    sort: useRandom ? 'random' : 'year',
+    search: '',
+    truncated: !!truncated,
+    loaded: (items || []).length,
+    total: total || (items || []).length,
+    loading: false,
+    seq: 0,
+    extraShown: 0,
+    rendered: new Set(),
+    allGroups: episodeGroups || [],
+    groups: new Map((episodeGroups || []).map(g => [g.seriesId, g]))
+  };
+  filmPopupState = state;
+
+  pop.innerHTML = '';
+  pop.appendChild(header);
+  const hasEntries = (items && items.length) || state.groups.size;
+  if (hasEntries) pop.appendChild(buildFilmControls(state));
+  pop.appendChild(tabsHolder);
+  if (hasEntries) pop.appendChild(buildWatchFilter(list));
+  pop.appendChild(list);
+
+  appendFilmEntries(state, mergeEpisodeGroups(state, items || [], !hasMoreFilmography(state)));
+
+  positionFilmPopup(anchorEl);
+  pop.style.display = 'block';
+  loadMoreFilmography(state);
+}
+
+async function showFilmographyForEl(el) {
+  if (!el) return;
+  await loadStatus();
+  if (!enabled || !enableHoverFilmography) return;
+
+  const anchor = el.tagName === 'A' ? el : (el.closest && el.closest('a.cardImageContainer')) || el;
+  if (!anchor) return;
+
+  const pid = extractItemId(anchor);
+  if (!pid) return;
+  if (anchor.tagName === 'A' && !isPersonCardAnchor(anchor)) return;
+
+  // Cancel hide
+  if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
+
+  const name = anchor.getAttribute('aria-label') || '';
+  const pop = ensureFilmPopup();
+  pop.innerHTML = '<div class="birthage-filmography-header"><div class="birthage-filmography-title"></div><div class="birthage-filmography-metaheader"></div></div><div class="birthage-filmography-loading" role="status" aria-live="polite"></div>';
+  pop.setAttribute('aria-label', name ? t('filmographyOf', name) : t('filmography'));
+  pop.querySelector('.birthage-filmography-title').textContent = t('filmography');
+  pop.querySelector('.birthage-filmography-loading').textContent = t('loading');
+  positionFilmPopup(anchor);
+  pop.style.display = 'block';
+  hoverTargetEl = anchor;
+
+  try {
+    const useRandom = !!randomizeHoverFilmography;
+    const [data, episodes] = await Promise.all([
+      fetchFilmography(pid, hoverFilmographyLimit, useRandom),
+      fetchEpisodeCredits(pid),
+      ensurePeopleLoaded([pid])
+    ]);
+    const items = (data && data.items) ? data.items : [];
+    const total = (data && data.total) ? data.total : items.length;
+
+    // If hover moved away, don't overwrite
+    if (hoverTargetEl !== anchor) return;
+    renderFilmPopup(anchor, pid, name, items, total, useRandom, episodes.truncated, groupEpisodesBySeries(episodes.items));
+  } catch {
+    if (hoverTargetEl !== anchor) return;
+    renderFilmPopup(anchor, pid, name, [], 0, false, false);
+  }
+}
+
+let hoverFilmographyMounted = false;
+
+function onFilmPointerOver(e) {
+  if (!enableHoverFilmography || e.pointerType === 'touch') return;
+  const t = e.target;
+  if (!t || !t.closest) return;
+  const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
+  if (!anchor) return;
+  if (!isPersonCardAnchor(anchor)) return;
+
+  // entering new target
+  if (hoverTargetEl === anchor) return;
+  hoverTargetEl = anchor;
+
+  if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
+  if (filmPopupShowTimer) clearTimeout(filmPopupShowTimer);
+  filmPopupShowTimer = setTimeout(() => {
+    showFilmographyForEl(anchor);
+  }, 220);
+}
+
+function onFilmPointerOut(e) {
+  if (!filmPopup || e.pointerType === 'touch') return;
+  const t = e.target;
+  if (!t || !t.closest) return;
+  const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
+  if (!anchor) return;
+  if (hoverTargetEl !== anchor) return;
+
+  const related = e.relatedTarget;
+  if (related && filmPopup && filmPopup.contains(related)) return;
+
+  scheduleHideFilmPopup(200);
+}
+
+function mountHoverFilmography() {
+  if (hoverFilmographyMounted) return;
+  hoverFilmographyMounted = true;
+  // Use event delegation (virtualized lists reuse nodes).
+  document.addEventListener('pointerover', onFilmPointerOver, true);
+  document.addEventListener('pointerout', onFilmPointerOut, true);
+}
+
+function unmountHoverFilmography() {
+  if (!hoverFilmographyMounted) return;
+  hoverFilmographyMounted = false;
+  document.removeEventListener('pointerover', onFilmPointerOver, true);
+  document.removeEventListener('pointerout', onFilmPointerOut, true);
+  if (filmPopupShowTimer) { clearTimeout(filmPopupShowTimer); filmPopupShowTimer = null; }
+  if (filmPopupHideTimer) { clearTimeout(filmPopupHideTimer); filmPopupHideTimer = null; }
+  hideFilmPopup();
+}
+    
+
+// ===== Hover cast menu popup (poster hover) =====
+const castCache = new Map();      // itemId -> { title: string, people: [], itemPeople: [], ts: number, aggregated: bool }
+const castInFlight = new Map();   // itemId|fields -> Promise
+const CAST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+let castPopup = null;
+let castPopupHideTimer = null;
+let castPopupShowTimer = null;
+let castHoverTargetEl = null;
 
 function ensureCastPopup() {
   if (castPopup) return castPopup;
   castPopup = document.createElement('div');
   castPopup.className = 'birthage-cast-popup';
+  castPopup.setAttribute('role', 'dialog');
+  castPopup.setAttribute('aria-label', t('cast'));
   castPopup.style.display = 'none';
   castPopup.addEventListener('pointerenter', () => {
     if (castPopupHideTimer) { clearTimeout(castPopupHideTimer); castPopupHideTimer = null; }
   });
-  castPopup.addEventListener('pointerleave', () => {
+  castPopup.addEventListener('pointerleave', e => {
+    if (e.pointerType === 'touch' || castPopup === sheetPopup) return;
     scheduleHideCastPopup(200);
   });
+  attachSheetGestures(castPopup);
   document.body.appendChild(castPopup);
   return castPopup;
 }
@@ -1371,33 +3364,14 @@ function hideCastPopup() {
   castPopup.style.display = 'none';
   castPopup.innerHTML = '';
   castHoverTargetEl = null;
+  closeSheet(castPopup);
 }
 
 function positionCastPopup(anchorEl) {
   if (!castPopup || !anchorEl) return;
-  const r = anchorEl.getBoundingClientRect();
-  const pad = 10;
   const width = Math.min(520, Math.max(260, Math.floor(window.innerWidth * 0.34)));
-  castPopup.style.width = width + 'px';
-
-  // Default: to the right, aligned to top
-  let left = r.right + pad;
-  let top = r.top;
-
-  // If doesn't fit right, place left
-  if (left + width + pad > window.innerWidth) {
-    left = Math.max(pad, r.left - width - pad);
-  }
-
-  // Clamp vertically
   const maxH = Math.min(420, Math.floor(window.innerHeight * 0.60));
-  castPopup.style.maxHeight = maxH + 'px';
-  if (top + maxH + pad > window.innerHeight) {
-    top = Math.max(pad, window.innerHeight - maxH - pad);
-  }
-
-  castPopup.style.left = Math.round(left) + 'px';
-  castPopup.style.top  = Math.round(top) + 'px';
+  placePopup(castPopup, anchorEl, width, maxH);
 }
 
 function normalizePeopleArray(arr) {
@@ -1416,7 +3390,8 @@ function extractCastPeople(itemJson) {
     return t === 'actor' || t === 'gueststar' || t === 'guest star' || t === 'guest_star';
   });
 
-  const use = actors.length ? actors : people;
+  // Without actors fall back to everyone except the crew, who get their own sections.
+  const use = actors.length ? actors : people.filter(p => !CREW_TYPES.includes(crewTypeOf(p)));
   // Sort by SortOrder then name
   use.sort((a, b) => {
     const ao = (a.SortOrder ?? a.sortOrder ?? 9999);
@@ -1430,13 +3405,72 @@ function extractCastPeople(itemJson) {
   return use;
 }
 
+// Canonical crew type of a person entry ('Director', ...), or '' when it is not a crew credit.
+function crewTypeOf(p) {
+  const t = (p.Type ?? p.type ?? '').toString().toLowerCase();
+  return CREW_TYPES.find(c => c.toLowerCase() === t) || '';
+}
+
+// { Director: [...], Writer: [...], ... } in credit order; a person listed twice for one job is kept once.
+function extractCrewPeople(itemJson) {
+  const crew = {};
+  for (const p of normalizePeopleArray(itemJson?.People ?? itemJson?.people)) {
+    const type = crewTypeOf(p);
+    if (!type) continue;
+    const list = crew[type] || (crew[type] = []);
+    const pid = normalizeId((p.Id ?? p.id ?? '').toString());
+    if (pid && list.some(x => normalizeId((x.Id ?? x.id ?? '').toString()) === pid)) continue;
+    list.push(p);
+  }
+  return crew;
+}
+
+// Series cast across every episode, computed and cached by the server (SeriesCastService),
+// most episodes first. null when unavailable, so the caller keeps the series-level People.
+async function fetchSeriesCast(seriesId) {
+  try {
+    const json = await ApiClient.ajax({
+      type: 'GET',
+      url: ApiClient.getUrl(API_SERIES + encodeURIComponent(seriesId) + '/cast'),
+      dataType: 'json'
+    });
+    const arr = json ? (json.People || json.people) : null;
+    if (!Array.isArray(arr)) return null;
+    return arr.map(p => ({
+      Id: p.Id ?? p.id ?? '',
+      Name: p.Name ?? p.name ?? '',
+      Role: p.Role ?? p.role ?? '',
+      Type: p.Type ?? p.type ?? 'Actor',
+      EpisodeCount: p.EpisodeCount ?? p.episodeCount ?? 0,
+      FirstSeason: p.FirstSeason ?? p.firstSeason ?? null,
+      LastSeason: p.LastSeason ?? p.lastSeason ?? null
+    }));
+  } catch {
+    return null;
+  }
+}
+
+// "12 episodes • Seasons 1–4" for a person from the aggregated series cast, '' otherwise.
+function seriesCreditText(p) {
+  const count = p.EpisodeCount ?? p.episodeCount;
+  if (!count) return '';
+  const first = p.FirstSeason ?? p.firstSeason;
+  const last = p.LastSeason ?? p.lastSeason;
+  const parts = [tp('episodesCount', count)];
+  if (first != null && last != null) {
+    parts.push(first === last ? t('seasonOne', formatNumber(first)) : t('seasonSpan', formatNumber(first), formatNumber(last)));
+  }
+  return parts.join(' • ');
+}
+
 async function fetchCastForItem(itemId) {
   const id = (itemId || '').toString();
-  if (!id) return { title: '', people: [] };
+  if (!id) return { title: '', people: [], itemPeople: [], crew: {} };
 
   const cached = castCache.get(id);
-  if (cached && (Date.now() - cached.ts) < CAST_TTL_MS) {
-    return { title: cached.title || '', people: cached.people || [] };
+  const modeChanged = cached && cached.type === 'series' && cached.aggregated !== aggregateSeriesCast;
+  if (cached && !modeChanged && (Date.now() - cached.ts) < CAST_TTL_MS) {
+    return { title: cached.title || '', people: cached.people || [], itemPeople: cached.itemPeople || cached.people || [], crew: cached.crew || {}, type: cached.type || '', premiereUtc: cached.premiereUtc || null, userData: cached.userData || null, aggregated: !!cached.aggregated };
   }
 
   const inflightKey = id;
@@ -1444,22 +3478,34 @@ async function fetchCastForItem(itemId) {
 
   const p = (async () => {
     const userId = getUserIdSafe();
-    if (!userId) return { title: '', people: [] };
+    if (!userId) return { title: '', people: [], itemPeople: [], crew: {} };
 
     // Fetch item with People field
-    const url = ApiClient.getUrl('Users/' + userId + '/Items/' + id, { Fields: 'People' });
+    const url = ApiClient.getUrl('Users/' + userId + '/Items/' + id, { Fields: 'People,PremiereDate', EnableUserData: 'true' });
     const item = await ApiClient.ajax({ type: 'GET', url: url, dataType: 'json' });
 
     const title = (item?.Name ?? item?.name ?? '') || '';
     const type = (item?.Type ?? item?.type ?? '').toString().toLowerCase();
 
     // Limit to movie/series only (as requested). If not, still show if people exist.
-    const people = extractCastPeople(item);
+    // itemPeople: the item's own cast, i.e. what the details page lists as cards
+    const itemPeople = extractCastPeople(item);
+    let people = itemPeople;
+    const crew = extractCrewPeople(item);
+    const premiereUtc = itemDateUtc(item);
+    const userData = userDataOf(item);
+
+    // Series mode: recurring and guest actors from the episodes, with episode counts
+    const aggregated = type === 'series' && aggregateSeriesCast;
+    if (aggregated) {
+      const seriesCast = await fetchSeriesCast(id);
+      if (seriesCast && seriesCast.length) people = seriesCast;
+    }
 
-    castCache.set(id, { title, people, ts: Date.now(), type });
+    castCache.set(id, { title, people, itemPeople, crew, ts: Date.now(), type, premiereUtc, userData, aggregated });
 
-    return { title, people, type };
-  })().catch(() => ({ title: '', people: [], type: '' })).finally(() => {
+    return { title, people, itemPeople, crew, type, premiereUtc, userData, aggregated };
+  })().catch(() => ({ title: '', people: [], itemPeople: [], crew: {}, type: '', premiereUtc: null, userData: null, aggregated: false })).finally(() => {
     try { castInFlight.delete(inflightKey); } catch { /* ignore */ }
   });
 
@@ -1467,7 +3513,202 @@ async function fetchCastForItem(itemId) {
   return p;
 }
 
-function renderCastPopup(anchorEl, itemTitle, people, limit) {
+// "34 y at release • now 62 y", or for the deceased "34 y at release • 1940–2010 (70 y) ✝",
+// plus a marker when the title premiered after their death.
+function buildCastAgesLine(nid, premiereUtc) {
+  const birthUtc = parseYmdToUtcDate(birthDateCache.get(nid));
+  const deathUtc = parseYmdToUtcDate(deathDateCache.get(nid));
+  const dec = !!deathUtc || deceasedCache.get(nid) === true;
+  const posthumous = isPosthumous(nid, premiereUtc);
+
+  const parts = [];
+  if (birthUtc && premiereUtc && !posthumous) {
+    const atRelease = computeAgeAtUtc(birthUtc, premiereUtc);
+    if (atRelease != null && atRelease >= 0) parts.push(t('castAtRelease', formatAge(atRelease)));
+  }
+  if (deathUtc) {
+    const atDeath = birthUtc ? computeAgeAtUtc(birthUtc, deathUtc) : null;
+    parts.push(lifespanText(nid) + (atDeath != null ? ' (' + formatAge(atDeath) + ')' : ''));
+  } else if (birthUtc && !dec) {
+    const now = computeAgeAtUtc(birthUtc, todayLocalAsUtc());
+    if (now != null) parts.push(t('castNow', formatAge(now)));
+  }
+  if (!parts.length && !dec) return null;
+
+  const line = document.createElement('div');
+  line.className = 'birthage-lifespan birthage-cast-ages';
+  line.textContent = parts.join(' • ');
+
+  if (dec) {
+    const mark = document.createElement('span');
+    mark.className = 'birthage-cast-deceased';
+    mark.setAttribute('role', 'img');
+    mark.setAttribute('aria-label', t('a11yDeceased'));
+    mark.title = t('a11yDeceased');
+    mark.textContent = '✝';
+    if (parts.length) line.appendChild(document.createTextNode(' '));
+    line.appendChild(mark);
+  }
+  if (posthumous) {
+    line.appendChild(document.createTextNode(' • '));
+    line.appendChild(createPosthumousMarker());
+  }
+  return line;
+}
+
+// One person row (thumbnail, name + flag, role, ages) for the cast popup and its crew sections.
+function buildCastRow(p, premiereUtc) {
+  const pid = (p.Id ?? p.id ?? '').toString();
+  const name = (p.Name ?? p.name ?? '—').toString();
+  const role = (p.Role ?? p.role ?? '').toString();
+
+  const a = document.createElement('a');
+  a.className = 'birthage-cast-item';
+  if (pid) a.href = '#/details?id=' + encodeURIComponent(pid);
+
+  const thumb = document.createElement('div');
+  thumb.className = 'birthage-cast-thumb';
+
+  if (pid) {
+    const imgUrl = getPrimaryImageUrl(pid, 88, 132);
+    if (imgUrl) {
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      img.alt = ''; // decorative: the link text has the name
+      img.src = imgUrl;
+      img.addEventListener('error', () => {
+        thumb.classList.add('birthage-thumb-missing');
+        try { img.remove(); } catch {}
+      });
+      thumb.appendChild(img);
+    } else {
+      thumb.classList.add('birthage-thumb-missing');
+    }
+  } else {
+    thumb.classList.add('birthage-thumb-missing');
+  }
+
+  const body = document.createElement('div');
+  body.className = 'birthage-cast-body';
+
+  const nameEl = document.createElement('div');
+  nameEl.className = 'birthage-cast-name';
+
+  const nameRow = document.createElement('div');
+  nameRow.className = 'birthage-cast-name-row';
+
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'birthage-cast-name-text';
+  nameSpan.textContent = name;
+  nameRow.appendChild(nameSpan);
+
+  // Birth country flag to the right of the actor name
+  const nid = normalizeId(pid);
+  const iso2 = birthCountryIso2Cache.get(nid);
+  if (iso2) {
+    const flag = document.createElement('span');
+    flag.className = 'birthage-cast-flag';
+    if (renderFlagInto(flag, iso2)) {
+      const place = birthPlaceCache.get(nid);
+      flag.title = place ? place : countryName(iso2);
+      nameRow.appendChild(flag);
+    }
+  }
+
+  nameEl.appendChild(nameRow);
+
+  const s = document.createElement('div');
+  s.className = 'birthage-cast-sub';
+  s.textContent = role ? role : '';
+
+  body.appendChild(nameEl);
+  if (role) body.appendChild(s);
+
+  const episodes = seriesCreditText(p);
+  if (episodes) {
+    const ep = document.createElement('div');
+    ep.className = 'birthage-cast-sub birthage-cast-episodes';
+    ep.textContent = episodes;
+    body.appendChild(ep);
+  }
+
+  const agesEl = buildCastAgesLine(nid, premiereUtc);
+  if (agesEl) body.appendChild(agesEl);
+
+  a.appendChild(thumb);
+  a.appendChild(body);
+
+  a.addEventListener('click', () => hideCastPopup());
+  return a;
+}
+
+// Which crew sections the user left expanded, remembered per browser. Directors start open.
+const CREW_EXPANDED_KEY = 'actorplus.castCrewExpanded';
+
+function loadCrewExpanded() {
+  try {
+    const raw = window.localStorage && window.localStorage.getItem(CREW_EXPANDED_KEY);
+    if (raw) return JSON.parse(raw) || {};
+  } catch { /* ignore */ }
+  return { Director: true };
+}
+
+function saveCrewExpanded(type, expanded) {
+  try {
+    const state = loadCrewExpanded();
+    state[type] = !!expanded;
+    window.localStorage.setItem(CREW_EXPANDED_KEY, JSON.stringify(state));
+  } catch { /* ignore */ }
+}
+
+// Collapsible "Director (2)" style sections below the cast list, one per configured crew type.
+function buildCrewSections(crew, premiereUtc) {
+  if (!crew || !hoverCastCrewTypes.length) return null;
+  const expandedState = loadCrewExpanded();
+  const wrap = document.createElement('div');
+  wrap.className = 'birthage-cast-crew';
+
+  for (const type of hoverCastCrewTypes) {
+    const members = crew[type] || [];
+    if (!members.length) continue;
+
+    const section = document.createElement('div');
+    section.className = 'birthage-cast-crew-section';
+
+    const head = document.createElement('button');
+    head.type = 'button';
+    head.className = 'birthage-cast-crew-head';
+    head.textContent = t('roleTab', t('role' + type), formatNumber(members.length));
+
+    const list = document.createElement('div');
+    list.className = 'birthage-cast-crew-list';
+    for (const p of members) list.appendChild(buildCastRow(p, premiereUtc));
+
+    const setExpanded = (on) => {
+      head.setAttribute('aria-expanded', on ? 'true' : 'false');
+      section.classList.toggle('birthage-crew-expanded', on);
+      list.hidden = !on;
+    };
+    setExpanded(expandedState[type] === true);
+
+    head.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const on = head.getAttribute('aria-expanded') !== 'true';
+      setExpanded(on);
+      saveCrewExpanded(type, on);
+    });
+
+    section.appendChild(head);
+    section.appendChild(list);
+    wrap.appendChild(section);
+  }
+
+  return wrap.childNodes.length ? wrap : null;
+}
+
+function renderCastPopup(anchorEl, itemTitle, people, limit, premiereUtc, itemType, userData, crew) {
   const pop = ensureCastPopup();
 
   const header = document.createElement('div');
@@ -1475,17 +3716,26 @@ function renderCastPopup(anchorEl, itemTitle, people, limit) {
 
   const title = document.createElement('div');
   title.className = 'birthage-cast-title';
-  title.textContent = itemTitle ? `Cast: ${itemTitle}` : 'Cast';
+  title.textContent = itemTitle ? t('castOf', itemTitle) : t('cast');
+  pop.setAttribute('aria-label', title.textContent);
 
   const meta = document.createElement('div');
   meta.className = 'birthage-cast-metaheader';
   const total = people ? people.length : 0;
   const lim = Math.max(1, Math.min(100, parseInt(limit, 10) || 12));
   const shown = Math.min(total, lim);
-  meta.textContent = total ? `Shown ${shown} of ${total}` : '';
+  meta.textContent = total ? t('shownOf', formatNumber(shown), formatNumber(total)) : '';
+
+  // The hovered title's own watched state
+  const marks = buildUserDataMarks(userData, itemType === 'series');
+  if (marks) title.appendChild(marks);
 
   header.appendChild(title);
   header.appendChild(meta);
+  if (watchState(userData) === 'progress') {
+    const progress = buildProgressBar(userData.PlayedPercentage ?? userData.playedPercentage);
+    if (progress) header.appendChild(progress);
+  }
 
   const list = document.createElement('div');
   list.className = 'birthage-cast-list';
@@ -1495,90 +3745,17 @@ function renderCastPopup(anchorEl, itemTitle, people, limit) {
   if (!slice.length) {
     const empty = document.createElement('div');
     empty.className = 'birthage-cast-empty';
-    empty.textContent = 'No cast data.';
+    empty.textContent = t('noCast');
     list.appendChild(empty);
   } else {
-    for (const p of slice) {
-      const pid = (p.Id ?? p.id ?? '').toString();
-      const name = (p.Name ?? p.name ?? '—').toString();
-      const role = (p.Role ?? p.role ?? '').toString();
-
-      const a = document.createElement('a');
-      a.className = 'birthage-cast-item';
-      if (pid) a.href = '#/details?id=' + encodeURIComponent(pid);
-
-      const thumb = document.createElement('div');
-      thumb.className = 'birthage-cast-thumb';
-
-      if (pid) {
-        const imgUrl = getPrimaryImageUrl(pid, 88, 132);
-        if (imgUrl) {
-          const img = document.createElement('img');
-          img.loading = 'lazy';
-          img.decoding = 'async';
-          img.alt = name;
-          img.src = imgUrl;
-          img.addEventListener('error', () => {
-            thumb.classList.add('birthage-thumb-missing');
-            try { img.remove(); } catch {}
-          });
-          thumb.appendChild(img);
-        } else {
-          thumb.classList.add('birthage-thumb-missing');
-        }
-      } else {
-        thumb.classList.add('birthage-thumb-missing');
-      }
-
-      const body = document.createElement('div');
-      body.className = 'birthage-cast-body';
-
-      const t = document.createElement('div');
-      t.className = 'birthage-cast-name';
-
-      const nameRow = document.createElement('div');
-      nameRow.className = 'birthage-cast-name-row';
-
-      const nameSpan = document.createElement('span');
-      nameSpan.className = 'birthage-cast-name-text';
-      nameSpan.textContent = name;
-      nameRow.appendChild(nameSpan);
-
-      // Birth country flag (twemoji) to the right of the actor name
-      const nid = normalizeId(pid);
-      const iso2 = birthCountryIso2Cache.get(nid);
-      if (iso2) {
-        const flagUrl = iso2ToTwemojiUrl(iso2);
-        if (flagUrl) {
-          const imgFlag = document.createElement('img');
-          imgFlag.className = 'birthage-cast-flag';
-          imgFlag.alt = iso2;
-          imgFlag.src = flagUrl;
-          const place = birthPlaceCache.get(nid);
-          imgFlag.title = place ? place : iso2;
-          nameRow.appendChild(imgFlag);
-        }
-      }
-
-      t.appendChild(nameRow);
-const s = document.createElement('div');
-      s.className = 'birthage-cast-sub';
-      s.textContent = role ? role : '';
-
-      body.appendChild(t);
-      if (role) body.appendChild(s);
-
-      a.appendChild(thumb);
-      a.appendChild(body);
-
-      a.addEventListener('click', () => hideCastPopup());
-      list.appendChild(a);
-    }
+    for (const p of slice) list.appendChild(buildCastRow(p, premiereUtc));
   }
 
   pop.innerHTML = '';
   pop.appendChild(header);
   pop.appendChild(list);
+  const crewEl = buildCrewSections(crew, premiereUtc);
+  if (crewEl) pop.appendChild(crewEl);
 
   positionCastPopup(anchorEl);
   pop.style.display = 'block';
@@ -1590,9 +3767,11 @@ async function showCastForEl(anchor) {
   if (!enabled || !enableHoverCastMenu) return;
 
   // Only show on item *details* cards. This prevents popups when hovering media libraries (views).
+  // TV layout cards are buttons without a link; their item type tells the same.
   try {
     const href = (anchor.getAttribute && (anchor.getAttribute('href') || '')) || '';
-    if (!/#\/details\?id=/i.test(href)) return;
+    const tvCard = anchor.classList.contains('card') && CAST_CARD_TYPES.includes(anchor.getAttribute('data-type'));
+    if (!/#\/details\?id=/i.test(href) && !tvCard) return;
   } catch { /* ignore */ }
 
   // Cancel hide
@@ -1602,7 +3781,10 @@ async function showCastForEl(anchor) {
   if (!itemId) return;
 
   const pop = ensureCastPopup();
-  pop.innerHTML = '<div class="birthage-cast-header"><div class="birthage-cast-title">Cast</div><div class="birthage-cast-metaheader"></div></div><div class="birthage-cast-loading">Loading…</div>';
+  pop.innerHTML = '<div class="birthage-cast-header"><div class="birthage-cast-title"></div><div class="birthage-cast-metaheader"></div></div><div class="birthage-cast-loading" role="status" aria-live="polite"></div>';
+  pop.setAttribute('aria-label', t('cast'));
+  pop.querySelector('.birthage-cast-title').textContent = t('cast');
+  pop.querySelector('.birthage-cast-loading').textContent = t('loading');
   positionCastPopup(anchor);
   pop.style.display = 'block';
   castHoverTargetEl = anchor;
@@ -1610,170 +3792,1746 @@ async function showCastForEl(anchor) {
   try {
     const data = await fetchCastForItem(itemId);
     const people = data?.people || [];
-    // Pre-fetch birth country info for cast list so we can show flags next to actor names
-    try {
-      const lim = Math.max(1, Math.min(100, parseInt(hoverCastLimit, 10) || 12));
-      const slice = (people || []).slice(0, lim);
-      const ids = slice.map(p => normalizeId((p.Id ?? p.id ?? '').toString())).filter(Boolean);
-      if (ids.length) {
-        const resp = await ApiClient.ajax({
-          type: 'POST',
-          url: ApiClient.getUrl(API_BATCH),
-          dataType: 'json',
-          contentType: 'application/json',
-          data: JSON.stringify({ personIds: ids })
-        });
-
-        const byId = Object.create(null);
-        if (resp && typeof resp === 'object') {
-          for (const k of Object.keys(resp)) byId[normalizeId(k)] = resp[k];
-        }
-
-        for (const id of ids) {
-          const rec = byId[id];
-          if (!rec) continue;
-          const iso2 = rec ? (rec.BirthCountryIso2 ?? rec.birthCountryIso2) : null;
-          if (iso2) birthCountryIso2Cache.set(id, String(iso2).trim());
-          const place = rec ? (rec.BirthPlace ?? rec.birthPlace) : null;
-          if (place) birthPlaceCache.set(id, String(place).trim());
-        }
-      }
-    } catch {
-      // ignore
-    }
+    // Pre-fetch person data for the cast list (flags next to names, lifespans)
+    const lim = Math.max(1, Math.min(100, parseInt(hoverCastLimit, 10) || 12));
+    const slice = (people || []).slice(0, lim);
+    const crew = data?.crew || {};
+    const crewShown = hoverCastCrewTypes.flatMap(type => crew[type] || []);
+    await ensurePeopleLoaded(slice.concat(crewShown).map(p => normalizeId((p.Id ?? p.id ?? '').toString())));
     const title = data?.title || (anchor.getAttribute('aria-label') || '');
     if (castHoverTargetEl !== anchor) return;
-    renderCastPopup(anchor, title, people, hoverCastLimit);
+    renderCastPopup(anchor, title, people, hoverCastLimit, data?.premiereUtc || null, data?.type || '', data?.userData || null, crew);
   } catch {
     if (castHoverTargetEl !== anchor) return;
     renderCastPopup(anchor, '', [], hoverCastLimit);
   }
 }
 
-function setupHoverCastMenu() {
-  document.addEventListener('pointerover', function (e) {
-    if (!enableHoverCastMenu) return;
-    const t = e.target;
-    if (!t || !t.closest) return;
+let hoverCastMenuMounted = false;
 
-    const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
-    if (!anchor) return;
+function onCastPointerOver(e) {
+  if (!enableHoverCastMenu || e.pointerType === 'touch') return;
+  const t = e.target;
+  if (!t || !t.closest) return;
 
-    // Only show on item *details* cards (not on media libraries / views).
-    try {
-      const href = (anchor.getAttribute && (anchor.getAttribute('href') || '')) || '';
-      if (!/#\/details\?id=/i.test(href)) return;
-    } catch { /* ignore */ }
+  const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
+  if (!anchor) return;
 
-    // Do not conflict with person-hover filmography
-    if (isPersonCardAnchor(anchor)) return;
+  // Only show on item *details* cards (not on media libraries / views).
+  try {
+    const href = (anchor.getAttribute && (anchor.getAttribute('href') || '')) || '';
+    if (!/#\/details\?id=/i.test(href)) return;
+  } catch { /* ignore */ }
 
-    const id = extractItemId(anchor);
-    if (!id) return;
+  // Do not conflict with person-hover filmography
+  if (isPersonCardAnchor(anchor)) return;
 
-    // entering new target
-    if (castHoverTargetEl === anchor) return;
-    castHoverTargetEl = anchor;
+  const id = extractItemId(anchor);
+  if (!id) return;
 
-    if (castPopupHideTimer) { clearTimeout(castPopupHideTimer); castPopupHideTimer = null; }
-    if (castPopupShowTimer) clearTimeout(castPopupShowTimer);
-    castPopupShowTimer = setTimeout(() => {
-      showCastForEl(anchor);
-    }, 240);
-  }, true);
+  // entering new target
+  if (castHoverTargetEl === anchor) return;
+  castHoverTargetEl = anchor;
 
-  document.addEventListener('pointerout', function (e) {
-    if (!castPopup) return;
-    const t = e.target;
-    if (!t || !t.closest) return;
+  if (castPopupHideTimer) { clearTimeout(castPopupHideTimer); castPopupHideTimer = null; }
+  if (castPopupShowTimer) clearTimeout(castPopupShowTimer);
+  castPopupShowTimer = setTimeout(() => {
+    showCastForEl(anchor);
+  }, 240);
+}
 
-    const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
-    if (!anchor) return;
+function onCastPointerOut(e) {
+  if (!castPopup || e.pointerType === 'touch') return;
+  const t = e.target;
+  if (!t || !t.closest) return;
 
-    if (castHoverTargetEl !== anchor) return;
+  const anchor = t.closest('a.cardImageContainer, a.cardImageContainer-withZoom');
+  if (!anchor) return;
 
-    const related = e.relatedTarget;
-    if (related && castPopup && castPopup.contains(related)) return;
+  if (castHoverTargetEl !== anchor) return;
 
-    scheduleHideCastPopup(200);
-  }, true);
+  const related = e.relatedTarget;
+  if (related && castPopup && castPopup.contains(related)) return;
+
+  scheduleHideCastPopup(200);
 }
 
+function mountHoverCastMenu() {
+  if (hoverCastMenuMounted) return;
+  hoverCastMenuMounted = true;
+  document.addEventListener('pointerover', onCastPointerOver, true);
+  document.addEventListener('pointerout', onCastPointerOut, true);
+}
 
-async function init() {
-      const ok = await loadStatus();
-      if (!ok) return;
+function unmountHoverCastMenu() {
+  if (!hoverCastMenuMounted) return;
+  hoverCastMenuMounted = false;
+  document.removeEventListener('pointerover', onCastPointerOver, true);
+  document.removeEventListener('pointerout', onCastPointerOut, true);
+  if (castPopupShowTimer) { clearTimeout(castPopupShowTimer); castPopupShowTimer = null; }
+  if (castPopupHideTimer) { clearTimeout(castPopupHideTimer); castPopupHideTimer = null; }
+  hideCastPopup();
+}
 
-      // Determine current details-page context date (premiere date) for "age at release" badges.
-      resetContextForRoute();
-      scheduleContextRefresh();
 
-      // Initial scan
-      scheduleScan(document, true);
+// ===== Keyboard / remote navigation for popups =====
+// TV layout and remotes never produce pointer events: a card that keeps keyboard focus for
+// FOCUS_DWELL_MS opens its popup and focus moves into it. Arrows move between entries, Enter
+// opens one, Back/Escape closes the popup and returns focus to the card.
+const FOCUS_DWELL_MS = 900;
+const POPUP_FOCUSABLE = 'a[href], button, input, select';
+const BACK_KEYS = ['Escape', 'GoBack', 'BrowserBack', 'Back'];
+const BACK_KEY_CODES = [461, 10009]; // webOS, Tizen
+const CAST_CARD_TYPES = ['Movie', 'Series', 'Season', 'Episode'];
+
+let keyboardNavMounted = false;
+let keyboardModality = false;   // last input was a key press (not pointer)
+let focusDwellTimer = null;
+let keyboardPopup = null;       // popup element opened from focus
+let keyboardOrigin = null;      // element that had focus when it opened
+let keyboardReopenGuard = null; // origin just returned to; don't reopen until focus leaves it
+
+// Card (desktop link or TV button) for an element, with the popup it should open.
+function resolvePopupCard(el) {
+  const card = el && el.closest && el.closest('.card');
+  if (!card) return null;
+  const link = card.querySelector('a.cardImageContainer, a.cardImageContainer-withZoom');
+  const type = card.getAttribute('data-type') || '';
+
+  if ((link && isPersonCardAnchor(link)) || type === 'Person') {
+    return enableHoverFilmography ? { kind: 'film', anchor: link || card } : null;
+  }
+  const href = link ? (link.getAttribute('href') || '') : '';
+  if (/#\/details\?id=/i.test(href) || CAST_CARD_TYPES.includes(type)) {
+    return enableHoverCastMenu ? { kind: 'cast', anchor: link || card } : null;
+  }
+  return null;
+}
 
-      // Observe additions only (safe)
-      const mo = new MutationObserver(mutations => {
-        for (const m of mutations) {
-          if (!m.addedNodes || !m.addedNodes.length) continue;
-          m.addedNodes.forEach(n => {
-            if (n && n.nodeType === 1) scheduleScan(n);
-          });
-        }
+function isPopupVisible(pop) {
+  return !!(pop && pop.style.display !== 'none' && pop.isConnected);
+}
+
+function popupFocusables(pop) {
+  return Array.from(pop.querySelectorAll(POPUP_FOCUSABLE)).filter(n => n.offsetParent !== null && !n.closest('[hidden]'));
+}
+
+function closeKeyboardPopup(restoreFocus) {
+  const pop = keyboardPopup;
+  const origin = keyboardOrigin;
+  keyboardPopup = null;
+  keyboardOrigin = null;
+  if (pop === filmPopup) hideFilmPopup();
+  else if (pop === castPopup) hideCastPopup();
+
+  if (restoreFocus && origin && origin.isConnected) {
+    keyboardReopenGuard = origin;
+    try { origin.focus({ preventScroll: true }); } catch { /* ignore */ }
+  }
+}
+
+async function openPopupFromFocus(origin) {
+  const target = resolvePopupCard(origin);
+  if (!target || document.activeElement !== origin) return;
+
+  if (target.kind === 'film') await showFilmographyForEl(target.anchor);
+  else await showCastForEl(target.anchor);
+
+  const pop = (target.kind === 'film') ? filmPopup : castPopup;
+  // Focus moved on (or the popup was replaced by a hover) while loading
+  if (document.activeElement !== origin || !isPopupVisible(pop)) return;
+
+  keyboardPopup = pop;
+  keyboardOrigin = origin;
+  const first = popupFocusables(pop).find(n => n.tagName === 'A') || popupFocusables(pop)[0];
+  if (first) first.focus();
+}
+
+function onKeyboardFocusIn(e) {
+  const el = e.target;
+  if (focusDwellTimer) { clearTimeout(focusDwellTimer); focusDwellTimer = null; }
+
+  // Moving around inside the open popup
+  if (keyboardPopup && keyboardPopup.contains(el)) return;
+  if (keyboardPopup) closeKeyboardPopup(false);
+
+  if (el !== keyboardReopenGuard) keyboardReopenGuard = null;
+  if (!keyboardModality || !enabled || el === keyboardReopenGuard) return;
+  if ((filmPopup && filmPopup.contains(el)) || (castPopup && castPopup.contains(el))) return;
+  if (!resolvePopupCard(el)) return;
+
+  focusDwellTimer = setTimeout(() => {
+    focusDwellTimer = null;
+    openPopupFromFocus(el);
+  }, FOCUS_DWELL_MS);
+}
+
+function isBackKey(e) {
+  if (BACK_KEYS.includes(e.key) || BACK_KEY_CODES.includes(e.keyCode)) return true;
+  // Backspace is "back" on many remotes, but not while editing the search box
+  return e.key === 'Backspace' && !(document.activeElement && document.activeElement.tagName === 'INPUT');
+}
+
+function onKeyboardKeyDown(e) {
+  keyboardModality = true;
+  const pop = keyboardPopup;
+  if (!pop) return;
+  if (!isPopupVisible(pop)) {
+    keyboardPopup = null;
+    keyboardOrigin = null;
+    return;
+  }
+
+  const active = document.activeElement;
+  if (!pop.contains(active)) return;
+
+  if (isBackKey(e)) {
+    e.preventDefault();
+    e.stopPropagation();
+    closeKeyboardPopup(true);
+    return;
+  }
+
+  const inInput = active.tagName === 'INPUT';
+  let step = 0;
+  if (e.key === 'ArrowDown' || (e.key === 'ArrowRight' && !inInput)) step = 1;
+  else if (e.key === 'ArrowUp' || (e.key === 'ArrowLeft' && !inInput)) step = -1;
+  if (!step) return;
+
+  // Own the arrows so Jellyfin's focus manager doesn't move focus back into the page
+  e.preventDefault();
+  e.stopPropagation();
+  const items = popupFocusables(pop);
+  const idx = items.indexOf(active);
+  const next = items[Math.max(0, Math.min(items.length - 1, idx + step))];
+  if (next && next !== active) next.focus();
+}
+
+function onKeyboardPointerDown() {
+  keyboardModality = false;
+}
+
+function mountKeyboardNav() {
+  if (keyboardNavMounted) return;
+  keyboardNavMounted = true;
+  document.addEventListener('focusin', onKeyboardFocusIn, true);
+  window.addEventListener('keydown', onKeyboardKeyDown, true);
+  document.addEventListener('pointerdown', onKeyboardPointerDown, true);
+}
+
+function unmountKeyboardNav() {
+  if (!keyboardNavMounted) return;
+  keyboardNavMounted = false;
+  document.removeEventListener('focusin', onKeyboardFocusIn, true);
+  window.removeEventListener('keydown', onKeyboardKeyDown, true);
+  document.removeEventListener('pointerdown', onKeyboardPointerDown, true);
+  if (focusDwellTimer) { clearTimeout(focusDwellTimer); focusDwellTimer = null; }
+  if (keyboardPopup) closeKeyboardPopup(false);
+  keyboardReopenGuard = null;
+}
+
+
+// ===== Touch: long-press opens a popup as a bottom sheet =====
+// A normal tap still navigates. Tapping the backdrop or swiping the sheet down dismisses it.
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_MOVE_PX = 10;
+const SHEET_DISMISS_PX = 80;
+
+let touchNavMounted = false;
+let longPressTimer = null;
+let longPressStart = null;   // { x, y, el }
+let suppressNextClick = false;
+let sheetPopup = null;       // popup currently shown as a sheet
+let sheetBackdrop = null;
+let sheetDrag = null;        // { startY, dy }
+
+function cancelLongPress() {
+  if (longPressTimer) { clearTimeout(longPressTimer); longPressTimer = null; }
+  longPressStart = null;
+}
+
+function onTouchPointerDown(e) {
+  if (e.pointerType !== 'touch' || !enabled) return;
+  cancelLongPress();
+  if ((filmPopup && filmPopup.contains(e.target)) || (castPopup && castPopup.contains(e.target))) return;
+  if (!resolvePopupCard(e.target)) return;
+
+  longPressStart = { x: e.clientX, y: e.clientY, el: e.target };
+  longPressTimer = setTimeout(() => {
+    const start = longPressStart;
+    longPressTimer = null;
+    longPressStart = null;
+    if (start) openPopupAsSheet(start.el);
+  }, LONG_PRESS_MS);
+}
+
+function onTouchPointerMove(e) {
+  if (!longPressStart || e.pointerType !== 'touch') return;
+  if (Math.abs(e.clientX - longPressStart.x) > LONG_PRESS_MOVE_PX || Math.abs(e.clientY - longPressStart.y) > LONG_PRESS_MOVE_PX) {
+    cancelLongPress();
+  }
+}
+
+// The tap that ends a long-press must not navigate (or open the browser/Jellyfin context menu).
+function onTouchClick(e) {
+  if (!suppressNextClick) return;
+  suppressNextClick = false;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function onTouchContextMenu(e) {
+  if (!suppressNextClick && !longPressStart) return;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+async function openPopupAsSheet(el) {
+  const target = resolvePopupCard(el);
+  if (!target) return;
+  suppressNextClick = true;
+  setTimeout(() => { suppressNextClick = false; }, 800);
+
+  closeSheet();
+  const pop = (target.kind === 'film') ? ensureFilmPopup() : ensureCastPopup();
+  sheetPopup = pop;
+  ensureSheetBackdrop().style.display = 'block';
+
+  if (target.kind === 'film') await showFilmographyForEl(target.anchor);
+  else await showCastForEl(target.anchor);
+
+  // The show call may bail out without displaying anything (route check, feature off); drop the backdrop then.
+  if (sheetPopup === pop && !isPopupVisible(pop)) closeSheet();
+}
+
+function ensureSheetBackdrop() {
+  if (sheetBackdrop) return sheetBackdrop;
+  sheetBackdrop = document.createElement('div');
+  sheetBackdrop.className = 'birthage-sheet-backdrop';
+  sheetBackdrop.style.display = 'none';
+  sheetBackdrop.addEventListener('click', e => {
+    e.preventDefault();
+    e.stopPropagation();
+    dismissSheet();
+  });
+  document.body.appendChild(sheetBackdrop);
+  return sheetBackdrop;
+}
+
+function dismissSheet() {
+  const pop = sheetPopup;
+  if (pop === filmPopup) hideFilmPopup();
+  else if (pop === castPopup) hideCastPopup();
+  closeSheet();
+}
+
+// Called when a popup hides: drops the sheet styling and the backdrop.
+function closeSheet(pop) {
+  if (pop && pop !== sheetPopup) return;
+  if (sheetPopup) {
+    sheetPopup.classList.remove('birthage-popup-sheet');
+    sheetPopup.style.transform = '';
+  }
+  sheetPopup = null;
+  sheetDrag = null;
+  if (sheetBackdrop) sheetBackdrop.style.display = 'none';
+}
+
+// Swipe down on a sheet scrolled to its top drags it; far enough dismisses it.
+function onSheetTouchStart(e) {
+  const pop = e.currentTarget;
+  if (pop !== sheetPopup || pop.scrollTop > 0 || e.touches.length !== 1) return;
+  sheetDrag = { startY: e.touches[0].clientY, dy: 0 };
+}
+
+function onSheetTouchMove(e) {
+  const pop = e.currentTarget;
+  if (!sheetDrag || pop !== sheetPopup) return;
+  const dy = e.touches[0].clientY - sheetDrag.startY;
+  if (dy <= 0) {
+    sheetDrag.dy = 0;
+    pop.style.transform = '';
+    return;
+  }
+  sheetDrag.dy = dy;
+  pop.style.transform = 'translateY(' + Math.round(dy) + 'px)';
+  if (e.cancelable) e.preventDefault();
+}
+
+function onSheetTouchEnd(e) {
+  const pop = e.currentTarget;
+  if (!sheetDrag || pop !== sheetPopup) return;
+  const dy = sheetDrag.dy;
+  sheetDrag = null;
+  if (dy > SHEET_DISMISS_PX) dismissSheet();
+  else pop.style.transform = '';
+}
+
+function attachSheetGestures(pop) {
+  pop.addEventListener('touchstart', onSheetTouchStart, { passive: true });
+  pop.addEventListener('touchmove', onSheetTouchMove, { passive: false });
+  pop.addEventListener('touchend', onSheetTouchEnd, { passive: true });
+  pop.addEventListener('touchcancel', onSheetTouchEnd, { passive: true });
+}
+
+function mountTouchNav() {
+  if (touchNavMounted) return;
+  touchNavMounted = true;
+  document.addEventListener('pointerdown', onTouchPointerDown, true);
+  document.addEventListener('pointermove', onTouchPointerMove, true);
+  document.addEventListener('pointerup', cancelLongPress, true);
+  document.addEventListener('pointercancel', cancelLongPress, true);
+  document.addEventListener('click', onTouchClick, true);
+  document.addEventListener('contextmenu', onTouchContextMenu, true);
+  // iOS Safari fires no contextmenu on a link long-press; CSS turns its link callout off instead.
+  document.documentElement.classList.add('birthage-touch-nav');
+}
+
+function unmountTouchNav() {
+  if (!touchNavMounted) return;
+  touchNavMounted = false;
+  document.removeEventListener('pointerdown', onTouchPointerDown, true);
+  document.removeEventListener('pointermove', onTouchPointerMove, true);
+  document.removeEventListener('pointerup', cancelLongPress, true);
+  document.removeEventListener('pointercancel', cancelLongPress, true);
+  document.removeEventListener('click', onTouchClick, true);
+  document.removeEventListener('contextmenu', onTouchContextMenu, true);
+  document.documentElement.classList.remove('birthage-touch-nav');
+  cancelLongPress();
+  suppressNextClick = false;
+  if (sheetPopup) dismissSheet();
+}
+
+
+// ===== Details page panels (cast age timeline, cast summary, career timeline) =====
+// Built once the routed item's premiere date is known (refreshContext) and the cast section is in the DOM.
+const DETAILS_PANEL_RETRY_MS = [0, 600, 1500, 3000];
+const DETAILS_PANEL_TYPES = ['movie', 'series', 'season', 'episode'];
+const SERIES_TIMELINE_MAX = 30;  // rows in the age timeline of an aggregated series cast
+
+let castTimelineMounted = false;
+let castSummaryMounted = false;
+let careerTimelineMounted = false;
+let detailsPanelTimers = [];
+
+function findCastSection() {
+  const pages = document.querySelectorAll('.page:not(.hide)');
+  for (const page of pages) {
+    const cast = page.querySelector('#castCollapsible') ||
+      (page.querySelector('#castContent') && page.querySelector('#castContent').closest('.verticalSection'));
+    if (cast) return cast;
+  }
+  return null;
+}
+
+// Cast age timeline: one bar per cast member = age at release, marker = age today (or at death).
+function buildTimelineRows(people, premiereUtc) {
+  const today = todayLocalAsUtc();
+  const rows = [];
+  for (const p of people) {
+    const id = normalizeId((p.Id ?? p.id ?? '').toString());
+    const birthUtc = parseYmdToUtcDate(birthDateCache.get(id));
+    if (!birthUtc) continue;
+    const release = computeAgeAtUtc(birthUtc, premiereUtc);
+    if (release == null) continue;
+
+    const deathUtc = parseYmdToUtcDate(deathDateCache.get(id));
+    const dec = (deceasedCache.get(id) === true) || !!deathUtc;
+    const now = computeAgeAtUtc(birthUtc, deathUtc || today);
+    rows.push({
+      id: id,
+      name: (p.Name ?? p.name ?? '—').toString(),
+      role: (p.Role ?? p.role ?? '').toString(),
+      credit: seriesCreditText(p),
+      release: release,
+      now: (deathUtc || !dec) ? now : null,
+      deceased: dec
+    });
+  }
+  return rows;
+}
+
+function renderCastTimeline(itemId, people, premiereUtc) {
+  const rows = buildTimelineRows(people, premiereUtc);
+  if (!rows.length) return null;
+
+  const maxAge = rows.reduce((m, r) => Math.max(m, r.release, r.now || 0), 0);
+  const scale = Math.max(10, Math.ceil((maxAge + 1) / 10) * 10);
+  const pct = years => (Math.max(0, Math.min(scale, years)) / scale * 100).toFixed(2) + '%';
+
+  const section = document.createElement('div');
+  section.className = 'verticalSection detailVerticalSection birthage-timeline';
+  section.setAttribute('data-item-id', itemId);
+
+  const title = document.createElement('h2');
+  title.className = 'sectionTitle padded-right';
+  title.textContent = t('ageTimeline');
+
+  const legend = document.createElement('div');
+  legend.className = 'birthage-timeline-legend';
+  const lBar = document.createElement('span');
+  lBar.className = 'birthage-timeline-legend-bar';
+  lBar.textContent = t('ageAtRelease');
+  const lMark = document.createElement('span');
+  lMark.className = 'birthage-timeline-legend-marker';
+  lMark.textContent = t('ageNowOrAtDeath');
+  legend.appendChild(lBar);
+  legend.appendChild(lMark);
+
+  const chart = document.createElement('div');
+  chart.className = 'birthage-timeline-chart';
+
+  for (const r of rows) {
+    const row = document.createElement('a');
+    row.className = 'birthage-timeline-row' + (r.deceased ? ' birthage-timeline-deceased' : '');
+    row.href = '#/details?id=' + encodeURIComponent(r.id);
+    row.title = (r.role ? (r.name + ' — ' + r.role) : r.name) + (r.credit ? ' (' + r.credit + ')' : '');
+    row.setAttribute('aria-label', [row.title, t('a11yAtRelease', formatAge(r.release)),
+      (r.now != null) ? t('a11yAge', formatNumber(r.now)) : '', r.deceased ? t('a11yDeceased') : ''].filter(Boolean).join(', '));
+
+    const label = document.createElement('span');
+    label.className = 'birthage-timeline-name';
+    label.textContent = r.name;
+
+    const track = document.createElement('span');
+    track.className = 'birthage-timeline-track';
+
+    const bar = document.createElement('span');
+    bar.className = 'birthage-timeline-bar';
+    bar.style.width = pct(r.release);
+
+    const value = document.createElement('span');
+    value.className = 'birthage-timeline-value';
+    value.textContent = formatAge(r.release);
+    bar.appendChild(value);
+    track.appendChild(bar);
+
+    if (r.now != null && r.now !== r.release) {
+      const marker = document.createElement('span');
+      marker.className = 'birthage-timeline-marker';
+      marker.style.left = pct(r.now);
+      marker.title = formatAge(r.now);
+      track.appendChild(marker);
+    }
+
+    row.appendChild(label);
+    row.appendChild(track);
+    chart.appendChild(row);
+  }
+
+  // Axis: a tick every 10 years
+  const axis = document.createElement('div');
+  axis.className = 'birthage-timeline-axis';
+  const axisTrack = document.createElement('span');
+  axisTrack.className = 'birthage-timeline-track';
+  for (let y = 0; y <= scale; y += 10) {
+    const tick = document.createElement('span');
+    tick.className = 'birthage-timeline-tick';
+    tick.style.left = pct(y);
+    tick.textContent = formatNumber(y);
+    axisTrack.appendChild(tick);
+  }
+  axis.appendChild(document.createElement('span'));
+  axis.appendChild(axisTrack);
+  chart.appendChild(axis);
+
+  section.appendChild(title);
+  section.appendChild(legend);
+  section.appendChild(chart);
+  return section;
+}
+
+async function ensureCastTimeline() {
+  if (!castTimelineMounted) return;
+
+  const itemId = contextItemId;
+  const premiereUtc = contextPremiereUtc;
+  const stale = document.querySelectorAll('.birthage-timeline');
+  stale.forEach(n => { if (n.getAttribute('data-item-id') !== itemId) n.remove(); });
+
+  if (!itemId || !premiereUtc || contextIsPerson || !DETAILS_PANEL_TYPES.includes(contextItemType)) return;
+  if (getRouteId() !== itemId) return;
+
+  const cast = findCastSection();
+  if (!cast || !cast.parentNode) return;
+  const next = cast.nextElementSibling;
+  if (next && next.classList.contains('birthage-timeline') && next.getAttribute('data-item-id') === itemId) return;
+
+  const data = await fetchCastForItem(itemId);
+  // A long-running show can have hundreds of guest stars; chart the most frequent ones.
+  const all = (data && data.people) || [];
+  const people = data && data.aggregated ? all.slice(0, SERIES_TIMELINE_MAX) : all;
+  await ensurePeopleLoaded(people.map(p => normalizeId((p.Id ?? p.id ?? '').toString())));
+
+  // Navigation or a config change may have happened meanwhile
+  if (!castTimelineMounted || contextItemId !== itemId || !cast.isConnected) return;
+  const again = cast.nextElementSibling;
+  if (again && again.classList.contains('birthage-timeline')) again.remove();
+
+  const panel = renderCastTimeline(itemId, people, premiereUtc);
+  if (panel) cast.parentNode.insertBefore(panel, cast.nextSibling);
+}
+
+function mountCastTimeline() {
+  if (castTimelineMounted) return;
+  castTimelineMounted = true;
+  scheduleDetailsPanels();
+}
+
+function unmountCastTimeline() {
+  if (!castTimelineMounted) return;
+  castTimelineMounted = false;
+  document.querySelectorAll('.birthage-timeline').forEach(n => n.remove());
+}
+
+// Compact cast summary at the top of the cast section: ages at release (median, range),
+// deceased count and birth countries as chips. A chip filters the cast cards to that country.
+function buildCastSummary(itemId, people, premiereUtc) {
+  const ages = [];
+  let deceased = 0;
+  const countries = new Map(); // iso2 | '' -> count
+  for (const p of people) {
+    const id = normalizeId((p.Id ?? p.id ?? '').toString());
+    if (!id) continue;
+    const birthUtc = parseYmdToUtcDate(birthDateCache.get(id));
+    const age = birthUtc ? computeAgeAtUtc(birthUtc, premiereUtc) : null;
+    if (age != null) ages.push(age);
+    if (deceasedCache.get(id) === true || deathDateCache.has(id)) deceased++;
+    const iso2 = normalizeIso2(birthCountryIso2Cache.get(id)) || '';
+    countries.set(iso2, (countries.get(iso2) || 0) + 1);
+  }
+  if (!ages.length && countries.size <= 1 && countries.has('')) return null;
+
+  const section = document.createElement('div');
+  section.className = 'birthage-cast-summary';
+  section.setAttribute('data-item-id', itemId);
+
+  const stats = document.createElement('div');
+  stats.className = 'birthage-cast-summary-stats';
+  const parts = [];
+  if (ages.length) {
+    ages.sort((a, b) => a - b);
+    const mid = Math.floor(ages.length / 2);
+    const median = (ages.length % 2) ? ages[mid] : Math.round((ages[mid - 1] + ages[mid]) / 2);
+    const min = ages[0];
+    const max = ages[ages.length - 1];
+    parts.push(t('summaryMedian', formatAge(median)));
+    parts.push(t('summaryRange', (min === max) ? formatAge(min) : formatAgeRange(min, max)));
+  }
+  if (deceased) parts.push(tp('summaryDeceased', deceased));
+  stats.textContent = parts.join(' · ');
+  section.appendChild(stats);
+
+  const chips = document.createElement('div');
+  chips.className = 'birthage-cast-summary-chips';
+  const sorted = Array.from(countries.entries()).sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]));
+  for (const [iso2, count] of sorted) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'birthage-country-chip';
+    chip.setAttribute('data-iso2', iso2);
+    chip.setAttribute('aria-pressed', 'false');
+    chip.title = iso2 ? countryName(iso2) : t('unknownCountry');
+    chip.setAttribute('aria-label', chip.title + ': ' + formatNumber(count));
+
+    const flag = document.createElement('span');
+    flag.className = 'birthage-country-chip-flag';
+    if (!iso2 || !renderFlagInto(flag, iso2)) flag.textContent = '?';
+
+    const n = document.createElement('span');
+    n.className = 'birthage-country-chip-count';
+    n.textContent = formatNumber(count);
+
+    chip.appendChild(flag);
+    chip.appendChild(n);
+    chips.appendChild(chip);
+  }
+  chips.addEventListener('click', e => {
+    const chip = e.target && e.target.closest && e.target.closest('.birthage-country-chip');
+    if (!chip) return;
+    const active = chip.getAttribute('aria-pressed') === 'true';
+    chips.querySelectorAll('.birthage-country-chip').forEach(c => c.setAttribute('aria-pressed', 'false'));
+    if (!active) chip.setAttribute('aria-pressed', 'true');
+    filterCastCards(section.closest('.verticalSection') || document, people, active ? null : chip.getAttribute('data-iso2'));
+  });
+  if (sorted.length > 1 || (sorted.length === 1 && sorted[0][0])) section.appendChild(chips);
+
+  return section;
+}
+
+// iso2 === null clears the filter; '' keeps people without a known birth country.
+function filterCastCards(scope, people, iso2) {
+  const keep = new Set();
+  if (iso2 !== null) {
+    for (const p of people) {
+      const id = normalizeId((p.Id ?? p.id ?? '').toString());
+      if (id && (normalizeIso2(birthCountryIso2Cache.get(id)) || '') === iso2) keep.add(id);
+    }
+  }
+  scope.querySelectorAll('#castContent .card, .castContent .card').forEach(card => {
+    const target = card.querySelector(TARGET_SELECTORS);
+    const id = normalizeId(card.getAttribute('data-id')) || (target ? extractItemId(target) : null);
+    card.classList.toggle('birthage-cast-filtered-out', iso2 !== null && !keep.has(id));
+  });
+}
+
+async function ensureCastSummary() {
+  if (!castSummaryMounted) return;
+
+  const itemId = contextItemId;
+  const premiereUtc = contextPremiereUtc;
+  document.querySelectorAll('.birthage-cast-summary').forEach(n => {
+    if (n.getAttribute('data-item-id') !== itemId) n.remove();
+  });
+
+  if (!itemId || !premiereUtc || contextIsPerson || !DETAILS_PANEL_TYPES.includes(contextItemType)) return;
+  if (getRouteId() !== itemId) return;
+
+  const cast = findCastSection();
+  if (!cast) return;
+  if (cast.querySelector('.birthage-cast-summary[data-item-id="' + itemId + '"]')) return;
+
+  const data = await fetchCastForItem(itemId);
+  // The cast cards on the page, not the aggregated series cast: the country chips filter those cards,
+  // so their counts have to describe the same people.
+  const people = (data && (data.itemPeople || data.people)) || [];
+  await ensurePeopleLoaded(people.map(p => normalizeId((p.Id ?? p.id ?? '').toString())));
+
+  if (!castSummaryMounted || contextItemId !== itemId || !cast.isConnected) return;
+  cast.querySelectorAll('.birthage-cast-summary').forEach(n => n.remove());
+  cast.querySelectorAll('.birthage-cast-filtered-out').forEach(n => n.classList.remove('birthage-cast-filtered-out'));
+
+  const panel = buildCastSummary(itemId, people, premiereUtc);
+  if (!panel) return;
+  const heading = cast.querySelector(':scope > .sectionTitle');
+  cast.insertBefore(panel, heading ? heading.nextSibling : cast.firstChild);
+}
+
+function mountCastSummary() {
+  if (castSummaryMounted) return;
+  castSummaryMounted = true;
+  scheduleDetailsPanels();
+}
+
+function unmountCastSummary() {
+  if (!castSummaryMounted) return;
+  castSummaryMounted = false;
+  document.querySelectorAll('.birthage-cast-summary').forEach(n => n.remove());
+  document.querySelectorAll('.birthage-cast-filtered-out').forEach(n => n.classList.remove('birthage-cast-filtered-out'));
+}
+
+// Career timeline (person pages): every library title of the person on an axis of their age,
+// with birth/death markers and gaps of CAREER_GAP_YEARS or more between consecutive titles.
+const CAREER_PAGE_SIZE = 200;
+const CAREER_MAX_ITEMS = 2000;
+const CAREER_GAP_YEARS = 3;
+const YEAR_MS = 365.2425 * 24 * 3600 * 1000;
+const careerCache = new Map(); // personId -> { items: [], ts: number }
+const careerInFlight = new Map(); // personId -> Promise
+
+function fetchCareer(personId) {
+  const pid = normalizeId(personId);
+  if (!pid) return Promise.resolve([]);
+
+  const cached = careerCache.get(pid);
+  if (cached && (Date.now() - cached.ts) < FILMOGRAPHY_TTL_MS) return Promise.resolve(cached.items);
+  if (careerInFlight.has(pid)) return careerInFlight.get(pid);
+
+  const p = (async () => {
+    const userId = getUserIdSafe();
+    if (!userId) return [];
+
+    const all = [];
+    let total = Infinity;
+    while (all.length < total && all.length < CAREER_MAX_ITEMS) {
+      const q = Object.assign(filmographyQuery(pid), {
+        StartIndex: String(all.length),
+        Limit: String(CAREER_PAGE_SIZE),
+        SortBy: 'PremiereDate,ProductionYear,SortName',
+        SortOrder: 'Ascending',
+        EnableTotalRecordCount: 'true'
+      });
+      const json = await ApiClient.ajax({
+        type: 'GET',
+        url: ApiClient.getUrl('Users/' + userId + '/Items', q),
+        dataType: 'json'
       });
-      mo.observe(document.documentElement || document.body, { childList: true, subtree: true });
+      const items = (json && (json.Items || json.items)) || [];
+      total = (json && (json.TotalRecordCount || json.totalRecordCount)) || 0;
+      all.push(...items.filter(x => x && (x.Id || x.id) && (x.Name || x.name)));
+      if (items.length < CAREER_PAGE_SIZE) break;
+    }
+
+    careerCache.set(pid, { items: all, ts: Date.now() });
+    return all;
+  })().catch(() => [])
+    .finally(() => careerInFlight.delete(pid));
+
+  careerInFlight.set(pid, p);
+  return p;
+}
+
+function renderCareerTimeline(personId, items) {
+  const birthUtc = parseYmdToUtcDate(birthDateCache.get(personId));
+  if (!birthUtc) return null;
+  const deathUtc = parseYmdToUtcDate(deathDateCache.get(personId));
+  const endUtc = deathUtc || todayLocalAsUtc();
+  const ageAt = d => (d - birthUtc) / YEAR_MS;
+
+  const dated = [];
+  let undated = 0;
+  for (const it of items) {
+    const d = itemDateUtc(it);
+    if (!d) { undated++; continue; }
+    dated.push({
+      id: normalizeId(it.Id || it.id),
+      name: (it.Name || it.name || '').toString(),
+      type: String(it.Type || it.type || '').toLowerCase(),
+      dateUtc: d,
+      age: ageAt(d)
+    });
+  }
+  if (!dated.length) return null;
+  dated.sort((a, b) => a.dateUtc - b.dateUtc);
+
+  const lifeEnd = ageAt(endUtc);
+  const maxAge = Math.max(lifeEnd, dated[dated.length - 1].age);
+  const scale = Math.max(10, Math.ceil((maxAge + 1) / 10) * 10);
+  const pct = years => (Math.max(0, Math.min(scale, years)) / scale * 100).toFixed(2) + '%';
+
+  const gaps = [];
+  for (let i = 1; i < dated.length; i++) {
+    const prev = dated[i - 1];
+    const cur = dated[i];
+    if (cur.age - prev.age >= CAREER_GAP_YEARS) gaps.push({ from: prev, to: cur });
+  }
 
-      // Periodic scan to handle virtualized / recycled lists (safe approach)
-      setInterval(() => scheduleScan(document), PERIODIC_SCAN_MS);
+  const section = document.createElement('div');
+  section.className = 'verticalSection detailVerticalSection birthage-career';
+  section.setAttribute('data-item-id', personId);
 
-      // Scroll-debounced rescan (quick feedback)
-      window.addEventListener('scroll', () => {
-        if (scrollTimer) clearTimeout(scrollTimer);
-        scrollTimer = setTimeout(() => scheduleScan(document), SCROLL_DEBOUNCE_MS);
-      }, { passive: true });
+  const title = document.createElement('h2');
+  title.className = 'sectionTitle padded-right';
+  title.textContent = t('careerTimeline');
 
-            // ===== SPA navigation handling (based on multi_tag.js) =====
-      let lastUrl = window.location.href;
+  const first = dated[0].dateUtc.getUTCFullYear();
+  const last = dated[dated.length - 1].dateUtc.getUTCFullYear();
+  const meta = document.createElement('div');
+  meta.className = 'birthage-career-meta';
+  meta.textContent = tp('careerTitles', dated.length + undated) + ' · ' +
+    ((first === last) ? String(first) : (first + '–' + last)) +
+    (undated ? ' · ' + tp('careerUndated', undated) : '');
+
+  const track = document.createElement('div');
+  track.className = 'birthage-career-track';
+
+  const life = document.createElement('span');
+  life.className = 'birthage-career-life';
+  life.style.width = pct(lifeEnd);
+  track.appendChild(life);
+
+  for (const g of gaps) {
+    const band = document.createElement('span');
+    band.className = 'birthage-career-gap';
+    band.style.left = pct(g.from.age);
+    band.style.width = ((g.to.age - g.from.age) / scale * 100).toFixed(2) + '%';
+    band.title = t('careerGap', g.from.dateUtc.getUTCFullYear(), g.to.dateUtc.getUTCFullYear(),
+      formatAge(Math.floor(g.to.age - g.from.age)));
+    track.appendChild(band);
+  }
 
-      function onUrlChange() {
-        const cur = window.location.href;
-        if (cur === lastUrl) return;
-        lastUrl = cur;
+  const birth = document.createElement('span');
+  birth.className = 'birthage-career-mark birthage-career-birth';
+  birth.style.left = '0%';
+  birth.title = t('careerBorn', formatDate(birthUtc));
+  track.appendChild(birth);
+
+  if (deathUtc) {
+    const death = document.createElement('span');
+    death.className = 'birthage-career-mark birthage-career-death';
+    death.style.left = pct(lifeEnd);
+    death.title = t('careerDied', formatDate(deathUtc), formatAge(Math.floor(lifeEnd)));
+    death.textContent = '†';
+    track.appendChild(death);
+  }
 
-        resetContextForRoute();
-        // Try a few times because details payload can arrive slightly позже DOM.
-        scheduleContextRefresh();
-        setTimeout(scheduleContextRefresh, 350);
-        setTimeout(scheduleContextRefresh, 1200);
+  // Titles released in the same year of age are stacked upwards.
+  const stacks = new Map();
+  let maxStack = 1;
+  for (const it of dated) {
+    const bucket = Math.floor(it.age);
+    const level = stacks.get(bucket) || 0;
+    stacks.set(bucket, level + 1);
+    maxStack = Math.max(maxStack, level + 1);
+
+    const dot = document.createElement('a');
+    const posthumous = !!deathUtc && it.dateUtc > deathUtc;
+    dot.className = 'birthage-career-dot' + (it.type === 'series' ? ' birthage-career-dot-series' : '') +
+      (posthumous ? ' birthage-career-dot-posthumous' : '');
+    dot.href = '#/details?id=' + encodeURIComponent(it.id);
+    dot.style.left = pct(it.age);
+    dot.style.bottom = (level * 10) + 'px';
+    dot.title = it.name + ' (' + it.dateUtc.getUTCFullYear() + ')' +
+      (posthumous ? ' — ' + t('posthumous') : (it.age >= 0 ? ' — ' + formatAge(Math.floor(it.age)) : ''));
+    dot.setAttribute('aria-label', dot.title);
+    track.appendChild(dot);
+  }
+  track.style.height = (maxStack * 10 + 16) + 'px';
+
+  const axis = document.createElement('div');
+  axis.className = 'birthage-career-axis';
+  for (let y = 0; y <= scale; y += 10) {
+    const tick = document.createElement('span');
+    tick.className = 'birthage-timeline-tick';
+    tick.style.left = pct(y);
+    tick.textContent = formatNumber(y);
+    axis.appendChild(tick);
+  }
 
-        // Force a couple of passes to repaint badges after layout settles.
-        scheduleScan(document, true);
-        setTimeout(() => scheduleScan(document, true), 400);
+  section.appendChild(title);
+  section.appendChild(meta);
+  section.appendChild(track);
+  section.appendChild(axis);
+
+  if (gaps.length) {
+    const list = document.createElement('div');
+    list.className = 'birthage-career-gaps';
+    list.textContent = gaps.map(g => t('careerGap', g.from.dateUtc.getUTCFullYear(), g.to.dateUtc.getUTCFullYear(),
+      formatAge(Math.floor(g.to.age - g.from.age)))).join(' · ');
+    section.appendChild(list);
+  }
+  return section;
+}
+
+// Person pages: above the first visible item section, else at the end of the details content.
+function findCareerAnchor() {
+  const pages = document.querySelectorAll('.page:not(.hide)');
+  for (const page of pages) {
+    const content = page.querySelector('.detailPageContent');
+    if (!content) continue;
+    const first = content.querySelector(':scope > .verticalSection:not(.hide):not(.birthage-career)');
+    return { parent: first ? first.parentNode : content, before: first || null };
+  }
+  return null;
+}
+
+async function ensureCareerTimeline() {
+  if (!careerTimelineMounted) return;
+
+  const itemId = contextItemId;
+  document.querySelectorAll('.birthage-career').forEach(n => {
+    if (n.getAttribute('data-item-id') !== itemId) n.remove();
+  });
+
+  if (!itemId || !contextIsPerson || getRouteId() !== itemId) return;
+  if (document.querySelector('.birthage-career[data-item-id="' + itemId + '"]')) return;
+
+  const anchor = findCareerAnchor();
+  if (!anchor) return;
+
+  const [items] = await Promise.all([fetchCareer(itemId), ensurePeopleLoaded([itemId])]);
+
+  if (!careerTimelineMounted || contextItemId !== itemId || !anchor.parent.isConnected) return;
+  if (document.querySelector('.birthage-career[data-item-id="' + itemId + '"]')) return;
+
+  const panel = renderCareerTimeline(itemId, items || []);
+  if (panel) anchor.parent.insertBefore(panel, (anchor.before && anchor.before.isConnected) ? anchor.before : null);
+}
+
+function mountCareerTimeline() {
+  if (careerTimelineMounted) return;
+  careerTimelineMounted = true;
+  scheduleDetailsPanels();
+}
+
+function unmountCareerTimeline() {
+  if (!careerTimelineMounted) return;
+  careerTimelineMounted = false;
+  document.querySelectorAll('.birthage-career').forEach(n => n.remove());
+}
+
+function ensureDetailsPanels() {
+  ensureCastTimeline();
+  ensureCastSummary();
+  ensureCareerTimeline();
+}
+
+function scheduleDetailsPanels() {
+  detailsPanelTimers.forEach(t => clearTimeout(t));
+  detailsPanelTimers = [];
+  if (!castTimelineMounted && !castSummaryMounted && !careerTimelineMounted) return;
+  detailsPanelTimers = DETAILS_PANEL_RETRY_MS.map(ms => setTimeout(ensureDetailsPanels, ms));
+}
+
+// ===== "Born this week" home row =====
+// The server picks people whose birthday is coming up and who appear in titles the current user can see.
+const BORN_ROW_TTL_MS = 30 * 60 * 1000; // 30 minutes (and always refreshed when the local day changes)
+const BORN_ROW_RETRY_MS = [0, 500, 1500, 3000]; // home sections are filled asynchronously after viewshow
+
+let bornRowMounted = false;
+let bornRowData = null;         // { people: [], daysAhead: number, day: number, ts: number }
+let bornRowInFlight = null;
+let bornRowObserver = null;     // childList observer on the home sections container
+let bornRowObserved = null;
+let bornRowTimers = [];
+const bornRowRendered = new WeakMap(); // row element -> JSON of the data it was built from
+
+function findHomeSectionsContainer() {
+  // Jellyfin keeps previously visited pages in the DOM (hidden); only use the visible home page.
+  const list = document.querySelectorAll('.homeSectionsContainer');
+  for (const c of list) {
+    const page = c.closest('.page');
+    if (!page || !page.classList.contains('hide')) return c;
+  }
+  return null;
+}
+
+function fetchBornRow() {
+  const day = todayLocalAsUtc().getTime();
+  if (bornRowData && bornRowData.day === day && (Date.now() - bornRowData.ts) < BORN_ROW_TTL_MS) {
+    return Promise.resolve(bornRowData);
+  }
+  if (bornRowInFlight) return bornRowInFlight;
+
+  bornRowInFlight = withNetSlot(() => ApiClient.ajax({
+    type: 'GET',
+    url: ApiClient.getUrl(API_BIRTHDAYS),
+    dataType: 'json'
+  }))
+    .then(json => {
+      const arr = json ? (json.People || json.people) : null;
+      const people = Array.isArray(arr) ? arr : [];
+      const daysAhead = parseInt(json ? (json.DaysAhead ?? json.daysAhead) : 7, 10) || 7;
+      bornRowData = { people: people, daysAhead: daysAhead, day: day, ts: Date.now() };
+      return bornRowData;
+    })
+    .catch(() => ({ people: [], daysAhead: 7 }))
+    .finally(() => { bornRowInFlight = null; });
+  return bornRowInFlight;
+}
+
+// The title follows the configured window (BornThisWeekDaysAhead, today included).
+function bornRowTitle(daysAhead) {
+  if (daysAhead === 7) return t('bornThisWeek');
+  if (daysAhead === 1) return t('bornToday');
+  return tp('bornNextDays', daysAhead);
+}
+
+function buildBornRow(people, daysAhead) {
+  const section = document.createElement('div');
+  section.className = 'verticalSection birthage-born-row';
+
+  const title = document.createElement('h2');
+  title.className = 'sectionTitle sectionTitle-cards padded-left';
+  title.textContent = bornRowTitle(daysAhead);
+
+  const list = document.createElement('div');
+  list.className = 'birthage-born-list padded-left padded-right';
+
+  for (const p of people) {
+    const id = normalizeId(p.PersonId || p.personId);
+    if (!/^[a-f0-9]{32}$/.test(id)) continue;
+    const name = p.Name || p.name || '—';
+    const turns = p.TurnsAge ?? p.turnsAge;
+    const days = p.DaysUntil ?? p.daysUntil;
+    const dec = !!(p.IsDeceased ?? p.isDeceased);
+
+    const a = document.createElement('a');
+    a.className = 'birthage-born-card' + (dec ? ' birthage-born-deceased' : '');
+    a.href = '#/details?id=' + encodeURIComponent(id);
+    const birth = p.BirthDate || p.birthDate;
+    a.title = birth ? name + ' • ' + formatDate(birth) : name;
+
+    const thumb = document.createElement('div');
+    thumb.className = 'birthage-born-thumb';
+
+    const url = getPrimaryImageUrl(id, 160, 240);
+    if (url) {
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      img.alt = ''; // decorative: the link text has the name
+      img.src = url;
+      img.addEventListener('error', () => {
+        thumb.classList.add('birthage-thumb-missing');
+        try { img.remove(); } catch { /* ignore */ }
+      });
+      thumb.appendChild(img);
+    } else {
+      thumb.classList.add('birthage-thumb-missing');
+    }
+
+    const iso2 = normalizeIso2(p.BirthCountryIso2 || p.birthCountryIso2);
+    if (iso2) {
+      const flag = document.createElement('span');
+      flag.className = 'birthage-born-flag';
+      renderFlagInto(flag, iso2);
+      thumb.appendChild(flag);
+    }
+
+    const n = document.createElement('div');
+    n.className = 'birthage-born-name';
+    n.textContent = name;
+
+    const s = document.createElement('div');
+    s.className = 'birthage-born-sub';
+    const when = Number.isFinite(days) ? whenText(days) : '';
+    if (Number.isFinite(turns) && turns > 0) {
+      s.textContent = t(dec ? 'wouldBeWhen' : 'turnsWhen', formatNumber(turns), when);
+    } else {
+      s.textContent = when;
+    }
+
+    a.appendChild(thumb);
+    a.appendChild(n);
+    a.appendChild(s);
+    list.appendChild(a);
+  }
+
+  section.appendChild(title);
+  section.appendChild(list);
+  bornRowRendered.set(section, JSON.stringify([daysAhead, people]));
+  return section;
+}
+
+async function ensureBornRow() {
+  if (!bornRowMounted) return;
+  const container = findHomeSectionsContainer();
+  if (!container) return;
+  watchBornRowContainer(container);
+
+  const data = await fetchBornRow();
+  const people = data.people;
+  if (!bornRowMounted || !container.isConnected) return;
+
+  const existing = container.querySelector(':scope > .birthage-born-row');
+  if (!people.length) {
+    if (existing) existing.remove();
+    return;
+  }
+  // Unchanged data: keep the existing row (and its scroll position).
+  if (existing && bornRowRendered.get(existing) === JSON.stringify([data.daysAhead, people])) return;
+
+  const row = buildBornRow(people, data.daysAhead);
+  if (existing) {
+    existing.replaceWith(row);
+    return;
+  }
+
+  // Right after the first home section ("My media"); the section slots exist before they are filled.
+  const first = container.querySelector(':scope > .section0') || container.firstElementChild;
+  container.insertBefore(row, first ? first.nextSibling : null);
+}
+
+// Jellyfin rebuilds the home sections on every visit: put the row back when it disappears.
+function watchBornRowContainer(container) {
+  if (bornRowObserved === container) return;
+  if (bornRowObserver) bornRowObserver.disconnect();
+  bornRowObserved = container;
+  bornRowObserver = new MutationObserver(() => {
+    if (!container.querySelector(':scope > .birthage-born-row')) scheduleBornRow();
+  });
+  bornRowObserver.observe(container, { childList: true });
+}
+
+function scheduleBornRow() {
+  bornRowTimers.forEach(t => clearTimeout(t));
+  bornRowTimers = BORN_ROW_RETRY_MS.map(ms => setTimeout(ensureBornRow, ms));
+}
+
+function mountBornRow() {
+  if (bornRowMounted) return;
+  bornRowMounted = true;
+  // viewshow bubbles from every Jellyfin view; hash/popstate cover builds that don't fire it.
+  document.addEventListener('viewshow', scheduleBornRow);
+  window.addEventListener('hashchange', scheduleBornRow, { passive: true });
+  window.addEventListener('popstate', scheduleBornRow, { passive: true });
+  scheduleBornRow();
+}
+
+function unmountBornRow() {
+  if (!bornRowMounted) return;
+  bornRowMounted = false;
+  document.removeEventListener('viewshow', scheduleBornRow);
+  window.removeEventListener('hashchange', scheduleBornRow);
+  window.removeEventListener('popstate', scheduleBornRow);
+  bornRowTimers.forEach(t => clearTimeout(t));
+  bornRowTimers = [];
+  if (bornRowObserver) { bornRowObserver.disconnect(); bornRowObserver = null; }
+  bornRowObserved = null;
+  bornRowData = null;
+  document.querySelectorAll('.birthage-born-row').forEach(n => n.remove());
+}
+
+// ===== Per-user settings panel =====
+// Injected into the web client's user settings menu. Overrides are stored server-side
+// (/ActorPlus/preferences); an empty choice falls back to the server-wide value.
+const API_PREFERENCES = '/ActorPlus/preferences';
+const PREFS_RETRY_MS = [0, 400, 1200];
+const PREFS_SAVE_DELAY_MS = 400;
+
+// key -> kind; order is the display order. Keys match StatusResponse / PluginConfiguration names.
+const PREF_FIELDS = [
+  ['ShowAgeAtRelease', 'bool'],
+  ['ShowAgeIcons', 'bool'],
+  ['ShowBirthCountryFlag', 'bool'],
+  ['ShowBirthPlaceText', 'bool'],
+  ['FlagStyle', 'flagStyle'],
+  ['ShowDeceasedOverlay', 'bool'],
+  ['HighlightBirthdays', 'bool'],
+  ['HighlightMemorials', 'bool'],
+  ['ShowBornThisWeekRow', 'bool'],
+  ['ShowCastAgeTimeline', 'bool'],
+  ['ShowCastSummary', 'bool'],
+  ['ShowCareerTimeline', 'bool'],
+  ['EnableHoverFilmography', 'bool'],
+  ['HoverFilmographyLimit', 'limit'],
+  ['RandomizeHoverFilmography', 'bool'],
+  ['EnableHoverCastMenu', 'bool'],
+  ['HoverCastLimit', 'limit']
+];
+
+let prefsPanelMounted = false;
+let prefsPanelTimers = [];
+let prefsSaveTimer = null;
+
+function findPreferencesMenu() {
+  const page = document.querySelector('#myPreferencesMenuPage:not(.hide)');
+  if (!page) return null;
+  return page.querySelector('.readOnlyContent') || page.querySelector('.content-primary') || page;
+}
+
+async function fetchPreferences() {
+  const json = await ApiClient.ajax({
+    type: 'GET',
+    url: ApiClient.getUrl(API_PREFERENCES),
+    dataType: 'json'
+  });
+  const overrides = json ? (json.Overrides || json.overrides || {}) : {};
+  const defaults = json ? (json.Defaults || json.defaults || {}) : {};
+  return { overrides: overrides, defaults: defaults };
+}
+
+function readDefault(defaults, key) {
+  const camel = key.charAt(0).toLowerCase() + key.slice(1);
+  return defaults[key] ?? defaults[camel];
+}
+
+function collectPreferences(section) {
+  const out = {};
+  section.querySelectorAll('[data-pref]').forEach(input => {
+    const v = String(input.value || '').trim();
+    if (v) out[input.getAttribute('data-pref')] = v;
+  });
+  return out;
+}
+
+function savePreferencesSoon(section) {
+  if (prefsSaveTimer) clearTimeout(prefsSaveTimer);
+  prefsSaveTimer = setTimeout(async () => {
+    prefsSaveTimer = null;
+    const note = section.querySelector('.birthage-prefs-note');
+    try {
+      const json = await ApiClient.ajax({
+        type: 'POST',
+        url: ApiClient.getUrl(API_PREFERENCES),
+        dataType: 'json',
+        contentType: 'application/json',
+        data: JSON.stringify(collectPreferences(section))
+      });
+      applyStatus(json);
+      syncFeatures();
+      if (note) note.textContent = t('prefsSaved');
+    } catch {
+      if (note) note.textContent = t('prefsSaveFailed');
+    }
+  }, PREFS_SAVE_DELAY_MS);
+}
+
+function buildPrefsField(key, kind, current, def) {
+  const row = document.createElement('div');
+  row.className = 'birthage-prefs-row';
+
+  const id = 'birthage-pref-' + key;
+  const label = document.createElement('label');
+  label.className = 'birthage-prefs-label';
+  label.htmlFor = id;
+  label.textContent = t('pref' + key);
+
+  let input;
+  if (kind === 'limit') {
+    input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    // The server value caps the override (see BuildStatus).
+    input.max = String(Number(def) > 0 ? Math.min(Number(def), 100) : 100);
+    input.step = '1';
+    input.placeholder = t('prefDefault', (def === null || def === undefined) ? '' : formatNumber(def));
+    input.value = current || '';
+  } else {
+    input = document.createElement('select');
+    const options = [['', '']];
+    if (kind === 'flagStyle') {
+      for (const s of FLAG_STYLES) options.push([s, t('flagStyle_' + s)]);
+      options[0][1] = t('prefDefault', def ? t('flagStyle_' + String(def).toLowerCase()) : '');
+    } else if (def === false) {
+      // Off on the server: the user can't turn it on, so the only choice is the server value.
+      options[0][1] = t('prefOffOnServer');
+    } else {
+      options.push(['true', t('on')], ['false', t('off')]);
+      options[0][1] = t('prefDefault', def ? t('on') : t('off'));
+    }
+    for (const [value, text] of options) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = text;
+      input.appendChild(o);
+    }
+    input.value = current || '';
+    if (def === false) {
+      input.value = '';
+      input.disabled = true;
+    }
+  }
+
+  input.id = id;
+  input.className = 'birthage-prefs-input';
+  input.setAttribute('data-pref', key);
+
+  row.appendChild(label);
+  row.appendChild(input);
+  return row;
+}
+
+async function ensurePrefsPanel() {
+  if (!prefsPanelMounted) return;
+  const host = findPreferencesMenu();
+  if (!host || host.querySelector(':scope > .birthage-prefs')) return;
+
+  let prefs;
+  try {
+    prefs = await fetchPreferences();
+  } catch {
+    return; // older server without /preferences, or signed out
+  }
+  if (!prefsPanelMounted || !host.isConnected || host.querySelector(':scope > .birthage-prefs')) return;
+
+  const section = document.createElement('div');
+  section.className = 'verticalSection birthage-prefs';
+
+  const title = document.createElement('h2');
+  title.className = 'sectionTitle';
+  title.textContent = t('prefsTitle');
+
+  const hint = document.createElement('div');
+  hint.className = 'fieldDescription birthage-prefs-hint';
+  hint.textContent = t('prefsHint');
+
+  const form = document.createElement('div');
+  form.className = 'birthage-prefs-form';
+  for (const [key, kind] of PREF_FIELDS) {
+    form.appendChild(buildPrefsField(key, kind, prefs.overrides[key], readDefault(prefs.defaults, key)));
+  }
+  form.addEventListener('change', () => savePreferencesSoon(section));
+
+  const footer = document.createElement('div');
+  footer.className = 'birthage-prefs-footer';
+
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'birthage-prefs-reset';
+  reset.textContent = t('prefsReset');
+  reset.addEventListener('click', () => {
+    section.querySelectorAll('[data-pref]').forEach(input => { input.value = ''; });
+    savePreferencesSoon(section);
+  });
+
+  const note = document.createElement('span');
+  note.className = 'birthage-prefs-note';
+  note.setAttribute('aria-live', 'polite');
+
+  footer.appendChild(reset);
+  footer.appendChild(note);
+
+  section.appendChild(title);
+  section.appendChild(hint);
+  section.appendChild(form);
+  section.appendChild(footer);
+  host.appendChild(section);
+}
+
+function schedulePrefsPanel() {
+  prefsPanelTimers.forEach(t => clearTimeout(t));
+  prefsPanelTimers = PREFS_RETRY_MS.map(ms => setTimeout(ensurePrefsPanel, ms));
+}
+
+function mountPrefsPanel() {
+  if (prefsPanelMounted) return;
+  prefsPanelMounted = true;
+  document.addEventListener('viewshow', schedulePrefsPanel);
+  window.addEventListener('hashchange', schedulePrefsPanel, { passive: true });
+  window.addEventListener('popstate', schedulePrefsPanel, { passive: true });
+  schedulePrefsPanel();
+}
+
+function unmountPrefsPanel() {
+  if (!prefsPanelMounted) return;
+  prefsPanelMounted = false;
+  document.removeEventListener('viewshow', schedulePrefsPanel);
+  window.removeEventListener('hashchange', schedulePrefsPanel);
+  window.removeEventListener('popstate', schedulePrefsPanel);
+  prefsPanelTimers.forEach(t => clearTimeout(t));
+  prefsPanelTimers = [];
+  if (prefsSaveTimer) { clearTimeout(prefsSaveTimer); prefsSaveTimer = null; }
+  document.querySelectorAll('.birthage-prefs').forEach(n => n.remove());
+}
+
+// ===== Public API (window.ActorPlus) =====
+const PERSON_WAIT_MS = 8000;
+
+function isPersonComplete(id) {
+  return ageCache.has(id) && (birthDateCache.has(id) || deceasedCache.has(id));
+}
+
+// Popups render once: queue people not fully cached yet ahead of background cards and wait until
+// the scheduler (chunking, backoff, navigation aborts) got through them, at most PERSON_WAIT_MS.
+async function ensurePeopleLoaded(ids) {
+  const missing = Array.from(new Set(ids.filter(Boolean))).filter(id => !isPersonComplete(id));
+  if (!missing.length) return;
+  // Queued directly rather than through queueFetch(): popups need birth dates even when no badge setting does.
+  for (const id of missing) {
+    if (!inFlightIds.has(id)) queued.set(id, PRIORITY_VISIBLE);
+  }
+  scheduleFlush(0);
+  await waitForIds(missing, PERSON_WAIT_MS);
+}
+
+function exposePublicApi() {
+  const api = {
+    version: 1,
+
+    // Resolves with a person snapshot ({ id, birthDate, deathDate, birthPlace, birthCountryIso2, isDeceased, age })
+    // or null. Uses the shared cache and request scheduler, so it never duplicates /ActorPlus/ages calls.
+    getPerson(id) {
+      const nid = normalizeId(id);
+      if (!/^[a-f0-9]{32}$/.test(nid)) return Promise.resolve(null);
+      // Settles as soon as the id's chunk is done, whether or not the server had a record.
+      return ensurePeopleLoaded([nid]).then(() => getPersonSnapshot(nid), () => getPersonSnapshot(nid));
+    },
+
+    // Synchronous: only what is already cached.
+    getCachedPerson(id) {
+      return getPersonSnapshot(id);
+    },
+
+    // Events: 'personupdated' ({ id, person }), 'ready' ({ restored }).
+    // Also dispatched on document as 'actorplus:<name>' CustomEvents.
+    on(name, fn) {
+      if (typeof fn !== 'function') return () => {};
+      let set = apiListeners.get(name);
+      if (!set) {
+        set = new Set();
+        apiListeners.set(name, set);
       }
+      set.add(fn);
+      return () => api.off(name, fn);
+    },
+
+    off(name, fn) {
+      const set = apiListeners.get(name);
+      if (set) set.delete(fn);
+    },
+
+    // fn(ctx) runs after the built-in badges are painted on a person portrait.
+    // ctx: { element, id, person, slot(), clear() } - draw into ctx.slot() so recycled cards get cleaned up.
+    registerBadgeRenderer(name, fn) {
+      const key = String(name || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+      if (!key || typeof fn !== 'function') return () => {};
+      badgeRenderers.set(key, fn);
+      scheduleScan(document, true);
+      return () => {
+        if (badgeRenderers.get(key) !== fn) return;
+        badgeRenderers.delete(key);
+        document.querySelectorAll('.birthage-custom-' + key).forEach(n => n.remove());
+      };
+    },
 
-      // Hook history API
-      (function hookHistory() {
-        try {
-          const _push = history.pushState;
-          const _replace = history.replaceState;
-          history.pushState = function () { const r = _push.apply(this, arguments); onUrlChange(); return r; };
-          history.replaceState = function () { const r = _replace.apply(this, arguments); onUrlChange(); return r; };
-          window.addEventListener('popstate', onUrlChange, { passive: true });
-        } catch { /* ignore */ }
-      })();
+    // Re-scan the page (e.g. after a theme swapped DOM that the observers could not see).
+    rescan() {
+      scheduleScan(document, true);
+    }
+  };
+
+  window.ActorPlus = api;
+  return api;
+}
+
+// ===== Runtime mount / unmount =====
+// Everything below can be switched on and off while the page is open (config pushed via /ActorPlus/events).
+const OVERLAY_SELECTORS = '.birthage-badge, .birthage-release-badge, .birthage-flag, .birthage-birthplace, ' +
+  '.birthage-deceased, .birthage-deceased-mask, .birthage-highlight, .birthage-custom';
+
+let overlayMounted = false;
+let persistedRestored = false;
+let overlayMountGen = 0;
+let addedNodesObserver = null;
+let visibleRecheckTimer = null;
+let urlWatchTimer = null;
+let historyHooked = false;
+let lastUrl = window.location.href;
+
+function onScrollOrResize() {
+  if (scrollTimer) clearTimeout(scrollTimer);
+  scrollTimer = setTimeout(recheckVisible, SCROLL_DEBOUNCE_MS);
+}
 
-      // hashchange still useful on some builds
-      window.addEventListener('hashchange', onUrlChange, { passive: true });
+function onUrlChange() {
+  const cur = window.location.href;
+  if (cur === lastUrl) return;
+  lastUrl = cur;
+  if (!overlayMounted) return;
+
+  cancelStaleRequests();
+  resetContextForRoute();
+  // Try a few times because details payload can arrive slightly позже DOM.
+  scheduleContextRefresh();
+  setTimeout(scheduleContextRefresh, 350);
+  setTimeout(scheduleContextRefresh, 1200);
+
+  // Force a couple of passes to repaint badges after layout settles.
+  scheduleScan(document, true);
+  setTimeout(() => scheduleScan(document, true), 400);
+}
+
+// History hooks stay installed once (other scripts may have wrapped pushState after us);
+// onUrlChange() is a no-op while the overlay is unmounted.
+function hookHistoryOnce() {
+  if (historyHooked) return;
+  historyHooked = true;
+  try {
+    const _push = history.pushState;
+    const _replace = history.replaceState;
+    history.pushState = function () { const r = _push.apply(this, arguments); onUrlChange(); return r; };
+    history.replaceState = function () { const r = _replace.apply(this, arguments); onUrlChange(); return r; };
+  } catch { /* ignore */ }
+}
 
-      // Safety net: detect URL changes not covered by hooks
-      setInterval(() => {
-        if (window.location.href !== lastUrl) onUrlChange();
-      }, 700);
+async function mountOverlay() {
+  if (overlayMounted) return;
+  overlayMounted = true;
+  // An unmount + remount while the restore below is awaited must not set everything up twice.
+  const gen = ++overlayMountGen;
+
+  if (!persistedRestored) {
+    persistedRestored = true;
+    let restored = 0;
+    try { restored = await restorePersistedCache(); } catch {}
+    emitApiEvent('ready', { restored: restored });
+    syncPersistedCache().catch(() => {});
+    if (!overlayMounted || gen !== overlayMountGen) return;
+  }
 
-      setupHoverFilmography();
-      setupHoverCastMenu();
+  // Determine current details-page context date (premiere date) for "age at release" badges.
+  lastUrl = window.location.href;
+  resetContextForRoute();
+  scheduleContextRefresh();
 
-      window.addEventListener('resize', () => scheduleScan(document), { passive: true });
+  // Initial scan
+  scheduleScan(document, true);
+
+  // Observe additions only (safe)
+  addedNodesObserver = new MutationObserver(mutations => {
+    for (const m of mutations) {
+      if (!m.addedNodes || !m.addedNodes.length) continue;
+      m.addedNodes.forEach(n => {
+        if (n && n.nodeType === 1) scheduleScan(n);
+      });
     }
+  });
+  addedNodesObserver.observe(document.documentElement || document.body, { childList: true, subtree: true });
+
+  // Periodic re-check of on-screen cards only (virtualized lists may recycle them in place)
+  visibleRecheckTimer = setInterval(() => {
+    if (!document.hidden) recheckVisible();
+  }, VISIBLE_RECHECK_MS);
+
+  // Scroll-debounced re-check (quick feedback). Capture phase: Jellyfin scrolls inner containers too.
+  window.addEventListener('scroll', onScrollOrResize, { passive: true, capture: true });
+  window.addEventListener('resize', onScrollOrResize, { passive: true });
+
+  // ===== SPA navigation handling (based on multi_tag.js) =====
+  hookHistoryOnce();
+  window.addEventListener('popstate', onUrlChange, { passive: true });
+  // hashchange still useful on some builds
+  window.addEventListener('hashchange', onUrlChange, { passive: true });
+  // Safety net: detect URL changes not covered by hooks
+  urlWatchTimer = setInterval(() => {
+    if (window.location.href !== lastUrl) onUrlChange();
+  }, 700);
+}
+
+function unmountOverlay() {
+  if (!overlayMounted) return;
+  overlayMounted = false;
+
+  if (addedNodesObserver) { addedNodesObserver.disconnect(); addedNodesObserver = null; }
+  if (viewportObserver) { viewportObserver.disconnect(); viewportObserver = null; }
+  observedEls = new WeakSet();
+  visibleEls.clear();
+  pendingScanRoots.clear();
+
+  if (visibleRecheckTimer) { clearInterval(visibleRecheckTimer); visibleRecheckTimer = null; }
+  if (urlWatchTimer) { clearInterval(urlWatchTimer); urlWatchTimer = null; }
+  if (scrollTimer) { clearTimeout(scrollTimer); scrollTimer = null; }
+  window.removeEventListener('scroll', onScrollOrResize, { capture: true });
+  window.removeEventListener('resize', onScrollOrResize);
+  window.removeEventListener('popstate', onUrlChange);
+  window.removeEventListener('hashchange', onUrlChange);
+
+  cancelStaleRequests();
+
+  // Remove everything we painted; cached person data stays for a later re-mount.
+  document.querySelectorAll(OVERLAY_SELECTORS).forEach(n => n.remove());
+  document.querySelectorAll('.birthage-sr').forEach(n => removeA11yDescription(n.parentElement));
+  document.querySelectorAll('.birthage-container').forEach(n => {
+    n.classList.remove('birthage-container', 'birthage-has-birthplace', 'birthage-has-birthday', 'birthage-has-memorial');
+  });
+  waiters.clear();
+}
+
+// Re-apply badges after a config change (features switched on/off, flag style, icons...).
+function repaintAll() {
+  waiters.forEach((set, id) => deliver(id));
+  recheckVisible();
+}
+
+function syncFeatures() {
+  if (enabled) {
+    mountOverlay();
+    repaintAll();
+  } else {
+    unmountOverlay();
+  }
+
+  if (enabled && enableHoverFilmography) mountHoverFilmography();
+  else unmountHoverFilmography();
+
+  if (enabled && enableHoverCastMenu) mountHoverCastMenu();
+  else unmountHoverCastMenu();
+
+  if (enabled && (enableHoverFilmography || enableHoverCastMenu)) {
+    mountKeyboardNav();
+    mountTouchNav();
+  } else {
+    unmountKeyboardNav();
+    unmountTouchNav();
+  }
+
+  if (enabled) mountPrefsPanel();
+  else unmountPrefsPanel();
+
+  if (enabled && showCastAgeTimeline) mountCastTimeline();
+  else unmountCastTimeline();
+
+  if (enabled && showCastSummary) mountCastSummary();
+  else unmountCastSummary();
+
+  if (enabled && showCareerTimeline) mountCareerTimeline();
+  else unmountCareerTimeline();
+
+  scheduleDetailsPanels();
+
+  if (enabled && showBornThisWeekRow) {
+    // Refetch: days ahead / max entries / living only may have changed server-side.
+    bornRowData = null;
+    mountBornRow();
+    scheduleBornRow();
+  } else {
+    unmountBornRow();
+  }
+}
+
+let statusPollTimer = null;
+let configSource = null;
+let configEventsHooked = false;
+
+// Live config: SSE stream from the server; falls back to slow polling of /ActorPlus/status.
+// The stream needs a signed-in user (EventSource sends no headers, so the token goes in the URL)
+// and is closed while the tab is hidden, so background tabs don't hold a connection each.
+function connectConfigEvents() {
+  if (typeof window.EventSource !== 'function') {
+    startStatusPolling();
+    return;
+  }
+
+  if (!configEventsHooked) {
+    configEventsHooked = true;
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        closeConfigEvents();
+        return;
+      }
+      // The stream opens with the current config, which catches up on anything saved while hidden.
+      if (!statusPollTimer) openConfigEvents();
+    });
+  }
+  if (!document.hidden) openConfigEvents();
+}
+
+function openConfigEvents() {
+  if (configSource) return;
+  const token = getAccessTokenSafe();
+  if (!token) {
+    startStatusPolling();
+    return;
+  }
+
+  let source;
+  try {
+    source = new EventSource(ApiClient.getUrl(API_EVENTS, { ApiKey: token }));
+  } catch {
+    startStatusPolling();
+    return;
+  }
+  configSource = source;
+
+  // The stream carries server-wide values only; /status merges this user's overrides on top.
+  source.addEventListener('config', async () => {
+    await loadStatus(true);
+    syncFeatures();
+  });
+
+  // EventSource reconnects on its own (also when the server ends a stream at its lifetime);
+  // if the endpoint is missing (older server) or refuses us, it gives up.
+  source.addEventListener('error', () => {
+    if (source.readyState !== EventSource.CLOSED) return;
+    closeConfigEvents();
+    startStatusPolling();
+  });
+}
+
+function closeConfigEvents() {
+  if (!configSource) return;
+  try { configSource.close(); } catch {}
+  configSource = null;
+}
+
+function startStatusPolling() {
+  if (statusPollTimer) return;
+  statusPollTimer = setInterval(async () => {
+    if (document.hidden) return;
+    await loadStatus(true);
+    syncFeatures();
+  }, STATUS_POLL_MS);
+}
+
+async function init() {
+  await loadStatus(true);
+  syncFeatures();
+  connectConfigEvents();
+}
+
+    exposePublicApi();
 
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', init);